@@ -9,7 +9,65 @@ const LightControl = {
         DEFAULT_GRID_SIZE: 70,
         VALID_LAYERS: ["walls", "gmlayer", "map", "objects"],
         VERBOSE_WALL_MOVEMENTS: false,  // Set to false to reduce chat clutter from wall movement traps
-        VERBOSE_DOOR_OPERATIONS: false  // Set to false to reduce chat clutter from door operations
+        VERBOSE_DOOR_OPERATIONS: false, // Set to false to reduce chat clutter from door operations
+        WALL_TWEEN_DEFAULT_STEPS: 10,   // Steps used for an animated wall move when only --duration is given
+        WALL_TWEEN_MAX_STEPS: 60,       // Upper bound on steps for a single animated wall move
+        WALL_TWEEN_MIN_INTERVAL_MS: 50, // Minimum time between two steps of an animated wall move
+        WALL_COLLISION_MODE: "none",    // What moving walls do to tokens in their way: "none", "push" (shove them along) or "crush" (mark them)
+        WALL_CRUSH_MARKER: "dead",      // Status marker for crushed tokens (also pushed tokens pinned against another wall)
+        DOOR_SCHEDULE_MIN_INTERVAL_MS: 1000, // Shortest allowed --every period for repeating door actions
+        TOGGLE_DARKNESS_MODE: "native", // How toggledarkness changes lights: "native" (API), "tokenmod" (clickable link) or "both"
+        DAYCYCLE_TICK_SECONDS: 10,              // Real seconds between daylight updates of running day cycles
+        DAYCYCLE_DEFAULT_MINUTES_PER_HOUR: 10,  // Real minutes per in-game hour if none is given
+        DAYCYCLE_START_HOUR: 8,                 // In-game hour a new day cycle starts at
+        DAYCYCLE_CURVE: [[0, 0], [5, 0], [7, 1], [18, 1], [20, 0], [24, 0]], // [hour, daylight brightness 0-1], linear in between
+        DAYCYCLE_PHASES: { dawn: 5, day: 7, dusk: 18, night: 20 },           // Hour each phase starts; the GM is whispered on each change
+        LIGHT_EFFECT_DEFAULT_RATE: 0.3,         // Seconds between flicker/pulse updates
+        LIGHT_EFFECT_DEFAULT_PERIOD: 2,         // Seconds for one full pulse
+        LIGHT_EFFECT_DEFAULT_VARIANCE: 0.15,    // Without --min/--max, vary the radius by this fraction of its base value
+        LIGHT_EFFECT_MIN_INTERVAL_MS: 250,      // Never update one token faster than this
+        LIGHT_EFFECT_MAX_UPDATES_PER_SECOND: 20, // Combined update budget for all running effects
+        LIGHT_EFFECT_MAX_EFFECTS: 30,           // Maximum tokens with a running effect
+        LIGHT_SOURCE_PRESETS: {                 // Light (in feet) and burn time (in-game minutes) for !lc lightsource
+            candle: { bright: 5, low: 5, minutes: 60 },
+            torch: { bright: 20, low: 20, minutes: 60 },
+            lamp: { bright: 15, low: 30, minutes: 360 },
+            lantern: { bright: 30, low: 30, minutes: 360 }
+        },
+        LIGHT_SOURCE_DIM_FRACTION: 0.1,         // A source dims once this fraction of its burn time is left
+        LIGHT_SOURCE_DIM_FACTOR: 0.5,           // ...to this fraction of its preset light
+        LIGHT_SOURCE_TICK_SECONDS: 60,          // Real seconds between burns when the light source clock is "real"
+        VISION_PROFILES: {                      // Temporary vision swaps for !lc vision profile
+            darkness: { has_night_vision: false },                                    // Magical darkness: darkvision doesn't help
+            devilsight: { has_bright_light_vision: true, has_night_vision: true, night_vision_distance: 120, night_vision_effect: "None" },
+            dim: { night_vision_effect: "Dimming" }
+        },
+        LIGHT_LEVEL_MARKERS: { bright: "", dim: "half-haze", dark: "ninja-mask" }, // Status marker per light level for tracked tokens ("" = none)
+        LIGHT_LEVEL_DAYLIGHT_BRIGHT: 0.75,      // Daylight brightness (daylightModeOpacity) from which the whole page counts as bright...
+        LIGHT_LEVEL_DAYLIGHT_DIM: 0.25,         // ...and as dim
+        AREA_CONE_ANGLE: 53.13,                 // Full opening angle of cone areas (a cone as wide as it is long)
+        LOCKPICK_BONUS_ATTRIBUTES: ["thieves_tools_bonus", "sleight_of_hand_bonus", "dexterity_mod"], // First one found is added to lockpick rolls
+        FORCE_BONUS_ATTRIBUTES: ["athletics_bonus", "strength_mod"], // First one found is added to rolls to force a door
+        EXPORT_HANDOUT_PREFIX: "LightControl Export: ", // Default handout name for !lc export (followed by the page name)
+        HISTORY_MAX_ENTRIES: 50,                // Operations kept for !lc undo / !lc history
+        PERMISSION_DEFAULTS: { wall: "gm", door: "all" }, // Default mode per permission key (see perms.KEYS); anything else is GM only
+        DOOR_BREAK_NOISE: "public",             // Who hears a door break: "public" (/desc to everyone), "gm" or "none"
+        SECRET_DOOR_MODE: "reveal",             // What a token noticing a secret door does: "reveal" it, or "whisper" the GM only
+        SECRET_DOOR_DEFAULT_RADIUS: 2,          // Search radius (grid squares) for secret doors without `searchradius` metadata
+        PASSIVE_PERCEPTION_ATTRIBUTES: ["passive_wisdom", "passive_perception", "passiveperception"] // First one found is the token's passive Perception
+    },
+
+    // Runtime (non-persistent) state
+    state: {
+        activeWallTweens: {},     // wallID -> { timeout, targetX, targetY }
+        doorScheduleTimeouts: {}, // scheduleId -> timeout handle (schedules themselves are in state.LightControl)
+        dayCycleInterval: null,   // Shared ticker for running day cycles
+        dayCycleLastTick: 0,
+        lightEffectTimeouts: {},  // tokenID -> timeout handle of its flicker/pulse effect
+        lightSourceInterval: null, // Ticker burning light sources in real time
+        lightSourceLastTick: 0,
+        visionProfileTimeouts: {}, // tokenID -> timeout ending a timed vision profile
+        currentOperation: null    // History operation changes are currently recorded into
     },
 
     // Utility functions
@@ -29,6 +87,126 @@ const LightControl = {
         sendGmMessage(content) {
             sendChat("LightControl", `/w gm ${content}`, null, { noarchive: true });
         },
+        /**
+         * Whispers a player (or the GM, if the sender is a GM or the API itself).
+         */
+        whisperPlayer(playerid, content) {
+            if (!playerid || playerid === "API" || LightControl.utils.isGM(playerid)) {
+                LightControl.utils.sendGmMessage(content);
+                return;
+            }
+            const player = getObj('player', playerid);
+            const displayName = player ? player.get('_displayname') : "";
+            sendChat("LightControl", `/w "${displayName}" ${content}`, null, { noarchive: true });
+        },
+        /**
+         * Escapes text for use inside a roll template field, where `=`, `{{` and `}}` would end the key or field.
+         */
+        escapeTemplateText(text) {
+            return String(text).replace(/=/g, "&#61;").replace(/\{/g, "&#123;").replace(/\}/g, "&#125;");
+        },
+        /**
+         * True if the player controls the token directly or through the character it represents.
+         */
+        playerControlsToken(playerid, token) {
+            const controls = (list) => (list || "").split(",").map(p => p.trim()).some(p => p === playerid || p === "all");
+            if (controls(token.get("controlledby"))) return true;
+            const character = token.get("represents") ? getObj("character", token.get("represents")) : null;
+            return !!character && controls(character.get("controlledby"));
+        },
+        /**
+         * Whispers the GM and every (non-GM) player who controls the token.
+         */
+        notifyTokenControllers(token, message) {
+            LightControl.utils.sendGmMessage(message);
+            LightControl.utils.getControllingPlayers(token)
+                .forEach(player => LightControl.utils.whisperPlayer(player.id, message));
+        },
+        getControllingPlayers(token) {
+            return findObjs({ _type: "player" })
+                .filter(player => !LightControl.utils.isGM(player.id) && LightControl.utils.playerControlsToken(player.id, token));
+        },
+        /**
+         * True if nothing blocks sight between two points on a page: walls (except transparent ones) and closed doors.
+         * `ignoreIds` skips objects such as the door being looked at. Hits right at the `to` end are ignored,
+         * since a door sits on the wall it's set in.
+         */
+        hasLineOfSight(from, to, pageid, ignoreIds = []) {
+            const length = Math.hypot(to.x - from.x, to.y - from.y);
+            if (length === 0) return true;
+            const endTolerance = 1 - 2 / length;
+            const blocks = (a, b) => {
+                const denom = (from.x - to.x) * (a[1] - b[1]) - (from.y - to.y) * (a[0] - b[0]);
+                if (!denom) return false;
+                const t = ((from.x - a[0]) * (a[1] - b[1]) - (from.y - a[1]) * (a[0] - b[0])) / denom;
+                const u = -((from.x - to.x) * (from.y - a[1]) - (from.y - to.y) * (from.x - a[0])) / denom;
+                return t >= 0 && t < endTolerance && u >= 0 && u <= 1;
+            };
+
+            const walls = findObjs({ _pageid: pageid, _type: "pathv2" }).concat(findObjs({ _pageid: pageid, _type: "path" }))
+                .filter(wall => wall.get("layer") === "walls" && wall.get("barrierType") !== "transparent" && !ignoreIds.includes(wall.id));
+            for (const wall of walls) {
+                const points = LightControl.areas.getPathPolygon(wall);
+                if (!points || points.length < 2) continue;
+                const closed = wall.get("shape") === "rec" || wall.get("shape") === "eli";
+                for (let i = 0; i < points.length - (closed ? 0 : 1); i++) {
+                    if (blocks(points[i], points[(i + 1) % points.length])) return false;
+                }
+            }
+
+            const doors = findObjs({ _pageid: pageid, _type: "door" }).filter(door => !door.get("isOpen") && !ignoreIds.includes(door.id));
+            for (const door of doors) {
+                let path = door.get("path");
+                if (typeof path === "string") {
+                    try { path = JSON.parse(path); } catch (e) { path = null; }
+                }
+                if (!path || !path.handle0 || !path.handle1) continue;
+                const center = LightControl.utils.getObjectCenter(door);
+                if (blocks([center.x + path.handle0.x, center.y + path.handle0.y], [center.x + path.handle1.x, center.y + path.handle1.y])) return false;
+            }
+            return true;
+        },
+        /**
+         * Page coordinates of a token, wall or door/window. Door and window `y` is stored negated
+         * (as TrapSystem's line-of-sight check also assumes), so it is flipped back here.
+         */
+        getObjectCenter(obj) {
+            const type = obj.get("_type");
+            if (type === "door" || type === "window") {
+                return { x: parseFloat(obj.get("x")) || 0, y: -(parseFloat(obj.get("y")) || 0) };
+            }
+            if (type === "pathv2") {
+                return { x: parseFloat(obj.get("x")) || 0, y: parseFloat(obj.get("y")) || 0 };
+            }
+            return { x: obj.get("left"), y: obj.get("top") };
+        },
+        /**
+         * Finds a page by ID or (case-insensitive) name. No spec, or "current", means the player page.
+         */
+        /**
+         * A page by ID or name (case-insensitive), defaulting to the player page. Chat arguments are split on spaces,
+         * so `_` in a name also matches a space (`My_Crypt` finds "My Crypt").
+         */
+        resolvePage(spec) {
+            if (!spec || spec === true || String(spec).toLowerCase() === "current") {
+                return getObj("page", Campaign().get("playerpageid"));
+            }
+            const name = String(spec).toLowerCase();
+            const pages = findObjs({ _type: "page" });
+            return getObj("page", spec) || pages.find(p => (p.get("name") || "").toLowerCase() === name)
+                || pages.find(p => (p.get("name") || "").toLowerCase() === name.replace(/_/g, " "));
+        },
+        /**
+         * Token targets from explicit IDs, falling back to the selection when none are given (or "selected" is).
+         */
+        resolveTokenTargets(ids, selectedTokens) {
+            const explicit = ids.filter(id => id.toLowerCase() !== "selected");
+            if (explicit.length === 0) return selectedTokens || [];
+            return explicit.map(id => getObj("graphic", id)).filter(Boolean);
+        },
+        getTokenName(token) {
+            return token.get("name") || (token.get("represents") && getObj("character", token.get("represents"))?.get("name")) || "Unnamed token";
+        },
         logWallMovement(message) {
             if (LightControl.config.VERBOSE_WALL_MOVEMENTS) {
                 LightControl.utils.sendGmMessage(message);
@@ -38,44 +216,165 @@ const LightControl = {
             if (LightControl.config.VERBOSE_DOOR_OPERATIONS) {
                 LightControl.utils.sendGmMessage(message);
             }
+        },
+        /**
+         * Returns the persistent state.LightControl object, creating any missing sections.
+         */
+        getState() {
+            state.LightControl = state.LightControl || {};
+            const lcState = state.LightControl;
+            lcState.toggledLightStates = lcState.toggledLightStates || {};
+            lcState.wallGroups = lcState.wallGroups || {};
+            lcState.wallOriginals = lcState.wallOriginals || {};
+            lcState.wallSnapshots = lcState.wallSnapshots || {};
+            lcState.objectMeta = lcState.objectMeta || {};
+            lcState.lightingScenes = lcState.lightingScenes || {};
+            lcState.dayCycles = lcState.dayCycles || {};
+            lcState.lightEffects = lcState.lightEffects || {};
+            lcState.lightSources = lcState.lightSources || {};
+            lcState.visionStates = lcState.visionStates || {};
+            lcState.lightLevelTracked = lcState.lightLevelTracked || {};
+            lcState.doorIntegrity = lcState.doorIntegrity || {};
+            lcState.discoveredDoors = lcState.discoveredDoors || {};
+            lcState.permissions = lcState.permissions || {};
+            lcState.history = lcState.history || [];
+            lcState.nextHistoryId = lcState.nextHistoryId || 1;
+            lcState.lightSourceClock = lcState.lightSourceClock || "real";
+            lcState.doorHooks = lcState.doorHooks || {};
+            lcState.nextDoorHookId = lcState.nextDoorHookId || 1;
+            lcState.doorSchedules = lcState.doorSchedules || {};
+            lcState.nextDoorScheduleId = lcState.nextDoorScheduleId || 1;
+            return lcState;
+        },
+        /**
+         * Rotates point {x, y} clockwise (Roll20's y axis points down) by `degrees` around `pivot`.
+         */
+        rotatePoint(point, pivot, degrees) {
+            const rad = degrees * Math.PI / 180;
+            const cos = Math.cos(rad), sin = Math.sin(rad);
+            const dx = point.x - pivot.x, dy = point.y - pivot.y;
+            return { x: pivot.x + dx * cos - dy * sin, y: pivot.y + dx * sin + dy * cos };
+        },
+        /**
+         * Splits an argument list into positional args and `--flag value` pairs.
+         * A flag followed by another flag (or nothing) is treated as a boolean switch.
+         */
+        parseFlags(args) {
+            const positional = [];
+            const flags = {};
+            for (let i = 0; i < args.length; i++) {
+                const arg = args[i];
+                if (typeof arg === 'string' && arg.startsWith('--') && arg.length > 2) {
+                    const name = arg.slice(2).toLowerCase();
+                    const next = args[i + 1];
+                    if (next !== undefined && !String(next).startsWith('--')) {
+                        flags[name] = next;
+                        i++;
+                    } else {
+                        flags[name] = true;
+                    }
+                } else if (arg !== '') {
+                    positional.push(arg);
+                }
+            }
+            return { positional, flags };
+        },
+        /**
+         * Parses a duration such as "30s", "1.5", "500ms", "2m" or "1h" into milliseconds.
+         * Bare numbers are seconds. Returns NaN for anything unparseable.
+         */
+        parseDuration(value) {
+            const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)(ms|s|m|h)?$/);
+            if (!match) return NaN;
+            const multiplier = { ms: 1, s: 1000, m: 60000, h: 3600000 }[match[2] || 's'];
+            return Math.round(parseFloat(match[1]) * multiplier);
         }
     },
 
     // Help Command
     help: {
         showHelp(playerid) {
-            if (!LightControl.utils.isGM(playerid)) {
-                let player_obj = getObj('player', playerid);
-                let display_name = "";
-                if(player_obj){
-                    display_name = player_obj.get('_displayname');
-                }
-                sendChat("LightControl", "/w " + display_name + " Permission error: This command is GM only.", null, {noarchive: true});
-                return;
-            }
+            if (!LightControl.perms.check("help", playerid)) return;
             const helpMsg = [
                 "&{template:default} {{name=LightControl Help}}",
                 "{{Commands=<b>!wall</b> (Dynamic Lighting walls)<br>" +
                 "• <code>!wall [ID] [gridSize] [grids]</code><br>" +
                 "&nbsp;&nbsp;• Actions: <code>moveLeft</code>, <code>moveRight</code>, <code>moveUp</code>, <code>moveDown</code>, <code>hide</code>, <code>reveal</code>, <code>layer</code><br>" +
                 "&nbsp;&nbsp;• Example: <code>!wall -Mxyz123 moveLeft 70 2</code><br>" +
+                "&nbsp;&nbsp;• Animated: <code>--duration &lt;sec&gt;</code> and/or <code>--steps &lt;n&gt;</code> slide the wall instead of jumping, e.g. <code>!wall -Mxyz123 moveDown 70 3 --duration 4</code><br>" +
+                "&nbsp;&nbsp;• <code>!wall [ID] stop</code> cancels a slide and snaps the wall to its target<br>" +
+                "&nbsp;&nbsp;• Collisions: <code>--collide push|crush|none</code> (or <code>collide</code> metadata, <code>config.WALL_COLLISION_MODE</code>) makes moves shove tokens on the objects layer along or mark them crushed (<code>config.WALL_CRUSH_MARKER</code>); tokens pinned against another wall are crushed. The GM is whispered who was hit.<br>" +
+                "&nbsp;&nbsp;• Rotate: <code>!wall [ID] rotate &lt;degrees&gt; [center|start|end|x,y]</code> (clockwise; defaults to the wall centre)<br>" +
+                "&nbsp;&nbsp;• Chain actions with semicolons: <code>!wall [ID] rotate 90 start;moveLeft 70 1</code><br>" +
+                "&nbsp;&nbsp;• Groups: <code>!wall group add &lt;name&gt; [IDs...]</code> (or selected walls), <code>!wall group remove &lt;name&gt; [IDs...]</code>, <code>!wall group delete &lt;name&gt;</code>, <code>!wall group list [name]</code><br>" +
+                "&nbsp;&nbsp;• Group action: <code>!wall group &lt;name&gt; &lt;action&gt; [gridSize] [grids]</code>, e.g. <code>!wall group vault moveLeft 70 2</code><br>" +
+                "&nbsp;&nbsp;• Selectors (instead of an ID, for <code>!wall</code> and <code>!door</code>): <code>name:Vault*</code>, <code>tag:cellblock</code> (<code>label</code> metadata), <code>page:&lt;name&gt;</code> (write spaces in page names as <code>_</code>, e.g. <code>page:My_Crypt</code>), <code>layer:gmlayer</code> (walls only; any layer in <code>config.VALID_LAYERS</code>), <code>selected</code>, <code>within:3</code> (of the selected token); join with <code>+</code> to require all, e.g. <code>!door tag:cells+page:Prison lock</code><br>" +
+                "&nbsp;&nbsp;• Reset: <code>!wall reset &lt;ID|group|page&gt;</code> restores walls to where they were before LightControl first moved them<br>" +
+                "&nbsp;&nbsp;• Snapshots: <code>!wall snapshot save|load|delete &lt;name&gt;</code>, <code>!wall snapshot list</code> (whole-page wall layouts)<br>" +
                 "&nbsp;&nbsp;• <b>Note:</b> Wall movement messages can be disabled via <code>config.VERBOSE_WALL_MOVEMENTS</code><br><br>" +
                 "<b>!door</b> (Native Door/Window objects)<br>" +
                 "• <code>!door [ID1] [ID2...] &lt;action&gt;</code><br>" +
                 "&nbsp;&nbsp;• Actions: <code>open</code>, <code>close</code>, <code>lock</code>, <code>unlock</code>, <code>reveal</code>, <code>set_secret_true</code><br>" +
                 "&nbsp;&nbsp;• Multiple Actions: <code>!door [ID1] [ID2...] &lt;action1&gt;;&lt;action2&gt;</code> (separate with semicolons)<br>" +
-                "&nbsp;&nbsp;• Area Ops: <code>!door area square &lt;grids&gt; &lt;action&gt;</code> or <code>!door area circle &lt;grids&gt; &lt;action&gt;</code><br>" +
+                "&nbsp;&nbsp;• Area Ops: <code>!door area &lt;shape&gt; [dimensions...] &lt;action&gt;</code> (shapes as for <code>!lc toggledarkness</code>)<br>" +
                 "&nbsp;&nbsp;• Example (single): <code>!door -Mabc456 open</code><br>" +
                 "&nbsp;&nbsp;• Example (multiple doors): <code>!door -Mabc456 -Mdef789 close</code><br>" +
                 "&nbsp;&nbsp;• Example (multiple actions): <code>!door -Mabc456 -Mdef789 close;lock</code><br>" +
                 "&nbsp;&nbsp;• Example (page): <code>!door all_on_page lock</code><br>" +
                 "&nbsp;&nbsp;• Example (area): <code>!door area square 5 open</code><br>" +
+                "&nbsp;&nbsp;• Timed: <code>--after &lt;t&gt;</code> delays, <code>--autoclose &lt;t&gt;</code> closes after, <code>--every &lt;t&gt; [--for &lt;t&gt;]</code> repeats (and reverts)<br>" +
+                "&nbsp;&nbsp;• Example (timed): <code>!door -Mabc456 open --autoclose 30s</code>, <code>!door -Mabc456 lock --after 10s</code>, <code>!door -Mabc456 open --every 20s --for 6s</code><br>" +
+                "&nbsp;&nbsp;• Keys: with <code>key</code>/<code>pickdc</code> metadata, players' <code>unlock</code>/<code>open</code> needs the key on their selected token (GM notes, attributes or Beacon inventory); <code>!door [ID] pick</code> rolls to pick the lock<br>" +
+                "&nbsp;&nbsp;• Hooks: <code>!door hook add [ID] &lt;open|close|lock|unlock|reveal|break&gt; &lt;macro|api|chat&gt; [--once|--uses N] &lt;content&gt;</code>, <code>!door hook list [ID]</code>, <code>!door hook remove [ID] &lt;hookId|all&gt;</code><br>" +
+                "&nbsp;&nbsp;• Hook placeholders: <code>{token}</code>/<code>{token_name}</code> (nearest character token), <code>{door}</code>, <code>{event}</code><br>" +
+                "&nbsp;&nbsp;• Breaking: with <code>hp</code>/<code>ac</code>/<code>breakdc</code> metadata, <code>!door [ID] force</code> rolls Athletics vs the DC and <code>!door [ID] damage &lt;amount&gt; [--attack &lt;total&gt;]</code> wears it down (players need their token selected, and <code>--attack</code> if the door has an AC); broken doors stay open until <code>!door [ID] repair</code><br>" +
+                "&nbsp;&nbsp;• Secret doors: with <code>perceptiondc</code> (and optional <code>searchradius</code>, <code>searchmode reveal|whisper</code>) metadata, player tokens that move within range and sight notice them once by passive Perception; <code>!lc secretdoors [reset &lt;ID|all&gt;]</code><br>" +
+                "&nbsp;&nbsp;• Dashboard: <code>!door list [page]</code> (grouped by <code>label</code> metadata, with buttons), <code>!door ping &lt;ID&gt;</code><br>" +
+                "&nbsp;&nbsp;• Schedules: <code>!door schedule list</code>, <code>!door schedule cancel &lt;scheduleId|doorID|all&gt;</code><br>" +
                 "&nbsp;&nbsp;• <b>Note:</b> Door operation messages can be disabled via <code>config.VERBOSE_DOOR_OPERATIONS</code>}}",
                 "{{!lc toggledarkness=<b>!lc toggledarkness</b> (Toggle lights off/on in an area)<br>" +
                 "• <code>!lc toggledarkness [shape] [dimensions...] [--id switch_name]</code><br>" +
-                "&nbsp;&nbsp;• Shapes: <code>square &lt;grids&gt;</code>, <code>circle &lt;grids&gt;</code><br>" +
+                "&nbsp;&nbsp;• Shapes: <code>square &lt;grids&gt;</code>, <code>circle &lt;grids&gt;</code>, <code>rect &lt;w&gt; &lt;h&gt;</code>, <code>cone &lt;length&gt; &lt;direction&gt;</code>, <code>line &lt;length&gt; &lt;width&gt; [direction]</code>, <code>polygon</code> (inside the selected drawn path)<br>" +
+                "&nbsp;&nbsp;• Sizes are in grid cells: on hex pages circles and cones count hexes and rects span hex columns/rows; gridless pages use squares of the default size<br>" +
+                "&nbsp;&nbsp;• Directions: degrees clockwise from north or <code>n</code>/<code>ne</code>/.../<code>nw</code>; a line defaults to the token's facing<br>" +
                 "&nbsp;&nbsp;• Example: <code>!lc toggledarkness square 5</code><br>" +
-                "&nbsp;&nbsp;• Example: <code>!lc toggledarkness circle 3 --id room_torch</code>}}",
+                "&nbsp;&nbsp;• Example: <code>!lc toggledarkness circle 3 --id room_torch</code>, <code>!door area cone 6 ne open</code><br>" +
+                "&nbsp;&nbsp;• <code>--mode native|tokenmod|both</code>: set lights directly (default, <code>config.TOGGLE_DARKNESS_MODE</code>) or whisper a TokenMod link}}",
+                "{{!lc undo=<b>!lc undo</b> / <b>!lc history</b> (Roll back changes)<br>" +
+                "• <code>!lc history [n]</code> lists recent wall, door and token light changes; <code>!lc undo [n]</code> reverts the last n operations, including door damage, light switches and light sources they changed}}",
+                "{{!lc perms=<b>!lc perms</b> (Who may use which commands)<br>" +
+                "• <code>!lc perms</code> lists; <code>!lc perms &lt;key&gt; gm|all</code>, <code>!lc perms &lt;key&gt; players &lt;name|ID&gt;...</code>, <code>!lc perms &lt;key&gt; proximity &lt;squares&gt;</code>, <code>!lc perms reset [key]</code><br>" +
+                "• Keys: " + Object.keys(LightControl.perms.KEYS).join(", ") + ". Proximity applies to door and wall targets; GMs and the API are always allowed.}}",
+                "{{!lc vision=<b>!lc vision</b> (What tokens can see)<br>" +
+                "• <code>!lc vision darkvision [IDs...|selected] &lt;range|off&gt;</code>, <code>!lc vision tint [IDs...|selected] &lt;#rrggbb|none&gt;</code><br>" +
+                "• <code>!lc vision blind|unblind [IDs...|selected]</code><br>" +
+                "• <code>!lc vision profile [IDs...|selected] &lt;name|off&gt; [--for 1m]</code> — profiles: " + Object.keys(LightControl.config.VISION_PROFILES).join(", ") + "<br>" +
+                "• <code>!lc vision restore [IDs...|selected]</code> puts back the vision from before LightControl changed it; <code>!lc vision list</code>}}",
+                "{{!lc lightlevel=<b>!lc lightlevel</b> (Is a token in bright, dim or dark light?)<br>" +
+                "• <code>!lc lightlevel [IDs...|selected]</code> reports each token's light from daylight and every light-emitting token in sight<br>" +
+                "• <code>!lc lightlevel track [IDs...|selected]</code> keeps a status marker (<code>config.LIGHT_LEVEL_MARKERS</code>) up to date as tokens move; <code>!lc lightlevel untrack [IDs...|selected|all]</code>}}",
+                "{{!lc lightsource=<b>!lc lightsource</b> (Burning torches, lanterns and candles)<br>" +
+                "• <code>!lc lightsource [IDs...|selected] &lt;preset&gt; [--duration 1h]</code> — presets: " + Object.keys(LightControl.config.LIGHT_SOURCE_PRESETS).join(", ") + "<br>" +
+                "• <code>!lc lightsource douse|light|remove [IDs...|selected]</code>, <code>!lc lightsource list</code><br>" +
+                "• <code>!lc lightsource clock real|manual</code>, <code>!lc advance &lt;duration&gt;</code> (e.g. 10m)<br>" +
+                "&nbsp;&nbsp;• Sources dim when nearly spent, then go out. Unlit sources (doused or toggled dark) don't burn.}}",
+                "{{!lc flicker=<b>!lc flicker</b> / <b>!lc pulse</b> (Animated light radius)<br>" +
+                "• <code>!lc flicker [IDs...|selected] [--min r] [--max r] [--rate sec]</code>, <code>!lc pulse ... [--period sec]</code><br>" +
+                "• <code>!lc flicker stop [IDs...|selected|page|all]</code> restores the original light; <code>!lc flicker list</code><br>" +
+                "&nbsp;&nbsp;• Example: <code>!lc flicker selected --min 15 --max 25 --rate 0.3</code>}}",
+                "{{!lc scene=<b>!lc scene</b> (Save/restore whole-page lighting)<br>" +
+                "• <code>!lc scene save &lt;name&gt; [--page name]</code>, <code>!lc scene load &lt;name&gt;</code>, <code>!lc scene delete &lt;name&gt;</code>, <code>!lc scene list</code><br>" +
+                "&nbsp;&nbsp;• Records daylight, explorer mode, fog and every light-emitting token; loading turns off lights that weren't in the scene}}",
+                "{{!lc export=<b>!lc export</b> / <b>!lc import</b> (Move a page's setup between campaigns)<br>" +
+                "• <code>!lc export [page] [--handout name]</code> writes the page's walls, doors/windows, LightControl metadata, wall groups and toggledarkness switches as JSON into a handout's GM notes<br>" +
+                "• <code>!lc import &lt;handout name&gt; [--page name]</code> re-links matching walls and doors on the page (same ID or position) and creates the rest, then reports what changed}}",
+                "{{!lc daycycle=<b>!lc daycycle</b> (Day/night cycle)<br>" +
+                "• <code>!lc daycycle start &lt;page|current&gt; &lt;minutesPerHour&gt;</code>, <code>!lc daycycle stop|clear &lt;page&gt;</code>, <code>!lc daycycle status</code><br>" +
+                "• <code>!lc time set &lt;HH:MM&gt; [page]</code> jumps to a time; curve and phases are in <code>config.DAYCYCLE_CURVE</code>/<code>DAYCYCLE_PHASES</code>}}",
+                "{{!lc meta=<b>!lc meta</b> (LightControl settings on doors, windows and walls)<br>" +
+                "• <code>!lc meta [ID]</code> shows, <code>!lc meta [ID] set &lt;field&gt; &lt;value&gt;</code> sets, <code>!lc meta [ID] clear [field]</code> removes<br>" +
+                "&nbsp;&nbsp;• Fields: <code>key</code> (item name), <code>pickdc</code>, <code>name</code> (for <code>name:</code> selectors), <code>label</code> (door list group and <code>tag:</code> selectors), <code>hp</code>, <code>ac</code>, <code>breakdc</code>, <code>perceptiondc</code>, <code>searchradius</code>, <code>searchmode</code>, <code>collide</code> (walls)<br>" +
+                "&nbsp;&nbsp;• Example: <code>!lc meta -Mabc456 set key Brass Key</code>}}",
                 "{{General=<b>Help:</b> <code>!lc help</code> or <code>!lightcontrol help</code> = Shows this help message.<br>" +
                 "<b>Configuration:</b> Set <code>config.VERBOSE_WALL_MOVEMENTS</code> and <code>config.VERBOSE_DOOR_OPERATIONS</code> to <code>false</code> to reduce chat clutter from traps and automated operations.<br>}}"
             ].join(" ");
@@ -86,500 +385,3964 @@ const LightControl = {
     // Wall Management
     wall: {
         processWallCommand(args) {
-            if (args.length < 3) {
-                sendChat("API", "/w gm ❌ Error: Missing parameters! Use: **!wall [ID] moveLeft/moveRight/moveUp/moveDown/hide/reveal/layer [Grid Size] [Grids]**");
+            const { positional, flags } = LightControl.utils.parseFlags(args);
+            const subCommand = positional[1] ? positional[1].toLowerCase() : null;
+            const playerid = args.whoisplayerid;
+            if (subCommand === "group") {
+                this.processGroupCommand(positional.slice(2), flags, args.selected, playerid);
+                return;
+            }
+            if (subCommand === "reset") {
+                if (!LightControl.perms.check("wall_admin", playerid)) return;
+                this.processResetCommand(positional[2]);
+                return;
+            }
+            if (subCommand === "snapshot") {
+                if (!LightControl.perms.check("wall_admin", playerid)) return;
+                this.processSnapshotCommand(positional.slice(2));
+                return;
+            }
+            if (positional.length < 3) {
+                sendChat("API", "/w gm ❌ Error: Missing parameters! Use: **!wall [ID] moveLeft/moveRight/moveUp/moveDown/hide/reveal/layer/rotate/stop [Grid Size] [Grids] [--duration sec] [--steps n]**");
                 return;
             }
 
-            let wallID = args[1];
-            let action = args[2].toLowerCase();
-            let gridSize = args[3] ? parseInt(args[3], 10) : LightControl.config.DEFAULT_GRID_SIZE;
-            let gridsToMove = args[4] ? parseInt(args[4], 10) : 1;
-            let totalMove = gridSize * gridsToMove;
+            let wallID = positional[1];
 
             if (!wallID) {
                 sendChat("API", "/w gm ❌ Error: No wall ID provided.");
                 return;
             }
 
+            if (LightControl.selectors.isSelector(wallID)) {
+                this.processSelectorWallCommand(wallID, positional.slice(2), flags, args.selected, playerid);
+                return;
+            }
+
             // Attempt to get the pathv2 object
             let wall = getObj("pathv2", wallID);
             if (!wall) {
                 sendChat("API", `/w gm ❌ Error: Wall ${wallID} not found.`);
                 return;
             }
+            if (!LightControl.perms.check("wall", playerid, [wall])) return;
+
+            const tween = this.parseTweenOptions(flags);
+            if (tween.error) {
+                LightControl.utils.sendGmMessage(`❌ ${tween.error}`);
+                return;
+            }
+
+            this.applyActionChain(wall, positional.slice(2), tween).forEach(feedback => {
+                if (feedback.startsWith("❌")) {
+                    LightControl.utils.sendGmMessage(feedback);
+                } else {
+                    LightControl.utils.logWallMovement(feedback);
+                }
+            });
+        },
+
+        /**
+         * Runs one or more semicolon-separated actions (e.g. `rotate 90 start;moveLeft 70 1`) on a wall, left to right.
+         * Only the last action is animated, so earlier moves don't get snapped by the actions that follow them
+         * (they still collide with tokens). Returns the feedback message of each action.
+         */
+        applyActionChain(wall, actionTokens, tween = {}) {
+            return this.applyActionChainToWalls([wall], actionTokens, tween)[0].feedback;
+        },
+
+        /**
+         * Runs an action chain on several walls as one structure (groups and selectors): each action is applied to
+         * every wall before the next, and a `rotate` pivot is resolved once for all of them (see resolveGroupPivot),
+         * so they swing together. Returns `{ wall, feedback }` for each wall.
+         */
+        applyActionChainToWalls(walls, actionTokens, tween = {}) {
+            const segments = actionTokens.join(" ").split(";")
+                .map(segment => segment.trim().split(/\s+/).filter(Boolean))
+                .filter(segment => segment.length > 0);
+            const results = walls.map(wall => ({ wall, feedback: [] }));
+            segments.forEach((segment, index) => {
+                const action = segment[0].toLowerCase();
+                const segmentTween = index === segments.length - 1 ? tween : { collide: tween.collide };
+                let params = segment.slice(1);
+                if (action === "rotate" && walls.length > 1) {
+                    const pivot = this.resolveGroupPivot(walls, params[1] || "center");
+                    if (pivot) params = [params[0], `${Math.round(pivot.x * 100) / 100},${Math.round(pivot.y * 100) / 100}`];
+                }
+                results.forEach(result => result.feedback.push(this.applyActionToWall(result.wall, action, params, segmentTween)));
+            });
+            return results;
+        },
+
+        /**
+         * Applies one wall action to a pathv2 object and returns a feedback message.
+         * `params` are the arguments after the action ([Grid Size] [Grids], or the layer name).
+         * Error feedback starts with ❌, mirroring `door.applyActionToDoorObject`.
+         */
+        applyActionToWall(wall, action, params = [], tween = {}) {
+            const wallID = wall.id;
+            let gridSize = params[0] ? parseInt(params[0], 10) : LightControl.config.DEFAULT_GRID_SIZE;
+            let gridsToMove = params[1] ? parseInt(params[1], 10) : 1;
+            let totalMove = gridSize * gridsToMove;
+            const animatedText = tween.duration > 0 ? ` over ${tween.duration / 1000}s` : "";
+            // Called once an action is known to be valid, so typos neither snap a slide nor record an original
+            const prepare = () => {
+                this.rememberOriginal(wall);
+                // Any new command snaps an in-progress slide to its target first
+                this.finishTween(wallID);
+            };
 
-            // Current coords
-            let currentX = wall.get("x");
-            let currentY = wall.get("y");
+            if (["moveright", "moveleft", "moveup", "movedown"].includes(action) && isNaN(totalMove)) {
+                return `❌ Invalid distance \`${params.join(" ")}\`. Use: **!wall [ID] ${action} [Grid Size] [Grids]**`;
+            }
 
             switch (action) {
+                case "stop":
+                    this.finishTween(wallID);
+                    return `⏹️ **Wall Movement Stopped:** ${wallID}`;
+
                 case "moveright":
-                    wall.set("x", currentX + totalMove);
-                    LightControl.utils.logWallMovement(`🏗️ **Wall Moved Right (${gridsToMove} grids, ${totalMove}px):** ${wallID}`);
-                    break;
+                    prepare();
+                    this.translateWall(wall, totalMove, 0, tween);
+                    return `🏗️ **Wall Moved Right (${gridsToMove} grids, ${totalMove}px${animatedText}):** ${wallID}`;
 
                 case "moveleft":
-                    wall.set("x", currentX - totalMove);
-                    LightControl.utils.logWallMovement(`🏗️ **Wall Moved Left (${gridsToMove} grids, ${totalMove}px):** ${wallID}`);
-                    break;
+                    prepare();
+                    this.translateWall(wall, -totalMove, 0, tween);
+                    return `🏗️ **Wall Moved Left (${gridsToMove} grids, ${totalMove}px${animatedText}):** ${wallID}`;
 
                 case "moveup":
-                    wall.set("y", currentY - totalMove);
-                    LightControl.utils.logWallMovement(`🏗️ **Wall Moved Up (${gridsToMove} grids, ${totalMove}px):** ${wallID}`);
-                    break;
+                    prepare();
+                    this.translateWall(wall, 0, -totalMove, tween);
+                    return `🏗️ **Wall Moved Up (${gridsToMove} grids, ${totalMove}px${animatedText}):** ${wallID}`;
 
                 case "movedown":
-                    wall.set("y", currentY + totalMove);
-                    LightControl.utils.logWallMovement(`🏗️ **Wall Moved Down (${gridsToMove} grids, ${totalMove}px):** ${wallID}`);
-                    break;
+                    prepare();
+                    this.translateWall(wall, 0, totalMove, tween);
+                    return `🏗️ **Wall Moved Down (${gridsToMove} grids, ${totalMove}px${animatedText}):** ${wallID}`;
 
                 case "hide":
-                    wall.set("layer", "gmlayer");
-                    LightControl.utils.logWallMovement(`🔥 **Wall Hidden (GM Layer):** ${wallID}`);
-                    break;
+                    prepare();
+                    LightControl.history.set(wall, { layer: "gmlayer" });
+                    return `🔥 **Wall Hidden (GM Layer):** ${wallID}`;
 
                 case "reveal":
-                    wall.set("layer", "walls");
-                    LightControl.utils.logWallMovement(`👁 **Wall Revealed (Dynamic Lighting Layer):** ${wallID}`);
-                    break;
+                    prepare();
+                    LightControl.history.set(wall, { layer: "walls" });
+                    return `👁 **Wall Revealed (Dynamic Lighting Layer):** ${wallID}`;
 
                 case "layer": {
-                    let newLayer = args[3]?.toLowerCase();
+                    let newLayer = params[0]?.toLowerCase();
                     if (!LightControl.config.VALID_LAYERS.includes(newLayer)) {
-                        LightControl.utils.sendGmMessage(`❌ Invalid layer! Use: ${LightControl.config.VALID_LAYERS.join(", ")}`);
-                        return;
+                        return `❌ Invalid layer! Use: ${LightControl.config.VALID_LAYERS.join(", ")}`;
                     }
+                    prepare();
+                    LightControl.history.set(wall, { layer: newLayer });
+                    return `🔄 **Wall Moved to Layer: ${newLayer}**`;
+                }
 
-                    wall.set("layer", newLayer);
-                    LightControl.utils.logWallMovement(`🔄 **Wall Moved to Layer: ${newLayer}**`);
-                    break;
+                case "rotate": {
+                    const degrees = parseFloat(params[0]);
+                    if (isNaN(degrees)) {
+                        return `❌ Invalid rotation \`${params[0] || ""}\`. Use: **!wall [ID] rotate <degrees> [center|start|end|x,y]**`;
+                    }
+                    const pivotSpec = params[1] || "center";
+                    if (!this.resolvePivot(wall, pivotSpec)) {
+                        return `❌ Invalid pivot \`${pivotSpec}\` for wall ${wallID}. Use center, start, end or x,y.`;
+                    }
+                    prepare();
+                    // Resolved again now that any slide has snapped to where it was going
+                    if (!this.rotateWall(wall, degrees, this.resolvePivot(wall, pivotSpec))) {
+                        return `❌ Wall ${wallID} has no usable path points to rotate.`;
+                    }
+                    return `🔃 **Wall Rotated ${degrees}° around ${pivotSpec}:** ${wallID}`;
                 }
 
                 default:
-                    LightControl.utils.sendGmMessage(`❌ Invalid wall command. Use:  
-                    **!wall [ID] moveLeft/moveRight/moveUp/moveDown/hide/reveal/layer [Grid Size] [Grids]**`);
+                    return `❌ Invalid wall command. Use:  
+                    **!wall [ID] moveLeft/moveRight/moveUp/moveDown/hide/reveal/layer/rotate/stop [Grid Size] [Grids] [--duration sec] [--steps n]**`;
             }
-        }
-    },
+        },
 
-    // Door/Window Management
-    door: {
-        processDoorCommand(args) {
-            if (args.length < 2) { // Min length for !door <target>
-                LightControl.utils.sendGmMessage("❌ Error: Missing parameters for !door command. Try `!lc help`.");
-                return;
+        // --- Originals, Reset and Snapshots ---
+        // state.LightControl.wallOriginals holds { wallID: savedWallState } captured the first time a wall is touched.
+        // state.LightControl.wallSnapshots holds { name: { pageid, savedAt, walls: { wallID: savedWallState } } }.
+
+        WALL_PROPERTIES_TO_SAVE: ["x", "y", "layer", "points", "rotation"],
+
+        captureWallState(wall) {
+            const saved = { pageid: wall.get("_pageid") };
+            this.WALL_PROPERTIES_TO_SAVE.forEach(prop => saved[prop] = wall.get(prop));
+            return saved;
+        },
+
+        restoreWallState(wall, saved) {
+            // Drop any slide without snapping so it can't overwrite the restored position
+            const tweenData = LightControl.state.activeWallTweens[wall.id];
+            if (tweenData) {
+                clearTimeout(tweenData.timeout);
+                delete LightControl.state.activeWallTweens[wall.id];
             }
+            const changes = {};
+            this.WALL_PROPERTIES_TO_SAVE.forEach(prop => {
+                if (saved[prop] !== undefined && saved[prop] !== null) changes[prop] = saved[prop];
+            });
+            LightControl.history.set(wall, changes);
+        },
 
-            const originalTarget = args[1];
-            const keyword = originalTarget.toLowerCase();
-            const playerid = args.whoisplayerid; // Passed from main handler
+        rememberOriginal(wall) {
+            const originals = LightControl.utils.getState().wallOriginals;
+            if (!originals[wall.id]) originals[wall.id] = this.captureWallState(wall);
+        },
 
-            if (keyword === "all_on_page") {
-                if (args.length < 3) { LightControl.utils.sendGmMessage("❌ Error: Missing action for `all_on_page`. Use: `!door all_on_page <action>`."); return; }
-                const action = args[2].toLowerCase();
-                if (!LightControl.utils.isGM(playerid)) {
-                    let player_obj = getObj('player', playerid);
-                    let display_name = "";
-                    if(player_obj) display_name = player_obj.get('_displayname');
-                    sendChat("LightControl", "/w " + display_name + " Permission error: the all_on_page action is GM only.", null, {noarchive: true});
-                    return;
-                }
-                this.processAllDoorsOnPage(action, Campaign().get("playerpageid"));
+        /**
+         * `!wall reset <ID|group|page>` restores walls to the position/layer they had before LightControl first moved them.
+         */
+        processResetCommand(target) {
+            if (!target) {
+                LightControl.utils.sendGmMessage("❌ Error: Missing target. Use: `!wall reset <ID|group|page>`.");
+                return;
             }
-            else if (keyword === "area") {
-                if (args.length < 5) { // !door area shape dimension action
-                     LightControl.utils.sendGmMessage("❌ Error: Missing parameters for `area` operation. Use: `!door area <shape> <dimension> <action>`."); return; 
-                }
-                const shape = args[2].toLowerCase();
-                const dimension = parseInt(args[3]);
-                const action = args[4].toLowerCase();
-                const selectedGraphics = (args.selected || []).map(s => getObj("graphic", s._id)).filter(g => g && g.get("_subtype") === "token");
-                
-                this.processAreaDoorCommand(shape, dimension, action, selectedGraphics, playerid);
+            const lcState = LightControl.utils.getState();
+            const originals = lcState.wallOriginals;
+            let wallIDs;
+            let label;
+            if (target.toLowerCase() === "page") {
+                const pageid = Campaign().get("playerpageid");
+                wallIDs = Object.keys(originals).filter(id => originals[id].pageid === pageid);
+                label = "the current page";
+            } else if (lcState.wallGroups[target.toLowerCase()]) {
+                wallIDs = lcState.wallGroups[target.toLowerCase()];
+                label = `group **${target.toLowerCase()}**`;
+            } else {
+                wallIDs = [target];
+                label = `wall ${target}`;
             }
-            else { // Assumed to be one or more specific door IDs
-                if (args.length < 3) {
-                    LightControl.utils.sendGmMessage("❌ Error: Missing action or door ID(s). Use: `!door [ID1] [ID2]... <action>`.");
-                    return;
-                }
-
-                const actionString = args[args.length - 1].toLowerCase();
-                const doorIDs = args.slice(1, args.length - 1);
-                
-                if (doorIDs.length === 0) {
-                    LightControl.utils.sendGmMessage("❌ Error: No door ID(s) provided. Use: `!door [ID1] [ID2]... <action>`.");
-                    return;
-                }
 
-                // Split actions by semicolon to support multiple actions
-                const actions = actionString.split(';').map(a => a.trim()).filter(a => a.length > 0);
-                
-                if (actions.length === 0) {
-                    LightControl.utils.sendGmMessage("❌ Error: No valid actions provided. Use: `!door [ID1] [ID2]... <action>` or `!door [ID1] [ID2]... <action1>;<action2>`.");
-                    return;
-                }
+            let restoredCount = 0, missing = [];
+            wallIDs.forEach(id => {
+                if (!originals[id]) return; // Never touched, nothing to restore
+                const wall = getObj("pathv2", id);
+                if (!wall) { missing.push(id); return; }
+                this.restoreWallState(wall, originals[id]);
+                delete originals[id];
+                restoredCount++;
+            });
+            // Originals of deleted walls can never be used again
+            missing.forEach(id => delete originals[id]);
 
-                let totalSuccesses = 0;
-                let totalFailures = [];
+            LightControl.utils.sendGmMessage(`↩️ Reset ${restoredCount} wall(s) on ${label} to their original positions.` +
+                (missing.length ? `<br>⚠️ No longer on the map: ${missing.join(", ")}` : ""));
+        },
 
-                // Process each door with each action
-                doorIDs.forEach(doorID => {
-                    let door = getObj("door", doorID) || getObj("window", doorID);
-                    if (!door) {
-                        totalFailures.push(`Object ${doorID} not found.`);
-                        return;
-                    }
-                    
-                    let doorSuccesses = 0;
-                    let doorFailures = [];
-                    
-                    // Apply each action to this door
-                    actions.forEach(action => {
-                        let feedback = this.applyActionToDoorObject(door, action);
-                        if (feedback.startsWith("❌") || feedback.startsWith("⚠️")) {
-                            doorFailures.push(feedback);
-                        } else {
-                            doorSuccesses++;
-                        }
-                    });
-                    
-                    if (doorSuccesses > 0) {
-                        totalSuccesses += doorSuccesses;
-                    }
-                    if (doorFailures.length > 0) {
-                        totalFailures.push(`Door ${doorID}: ${doorFailures.join(', ')}`);
-                    }
-                });
+        /**
+         * `!wall snapshot save|load|delete <name>` and `!wall snapshot list` store whole-page wall layouts
+         * (every pathv2 on the walls or GM layer of the player page).
+         */
+        processSnapshotCommand(snapshotArgs) {
+            const snapshots = LightControl.utils.getState().wallSnapshots;
+            const sub = snapshotArgs[0] ? snapshotArgs[0].toLowerCase() : "list";
+            const name = snapshotArgs[1] ? snapshotArgs[1].toLowerCase() : null;
 
-                if (totalSuccesses > 0) {
-                    const actionText = actions.length > 1 ? `actions: \`${actions.join('; ')}\`` : `action: \`${actions[0]}\``;
-                    LightControl.utils.logDoorOperation(`🚪 Processed ${totalSuccesses} door operation(s). ${actionText}`);
-                }
-                if (totalFailures.length > 0) {
-                    LightControl.utils.sendGmMessage(`❌ Some operations failed:<br>${totalFailures.join('<br>')}`);
+            if (sub === "list") {
+                const names = Object.keys(snapshots).sort();
+                if (names.length === 0) {
+                    LightControl.utils.sendGmMessage("📸 No wall snapshots saved. Use `!wall snapshot save <name>`.");
+                    return;
                 }
+                const rows = names.map(n => {
+                    const snap = snapshots[n];
+                    const page = getObj("page", snap.pageid);
+                    return `• <b>${n}</b>: ${Object.keys(snap.walls).length} wall(s) on ${page ? page.get("name") : snap.pageid} ` +
+                        `[Load](!wall snapshot load ${n})`;
+                });
+                LightControl.utils.sendGmMessage(`&{template:default} {{name=📸 Wall Snapshots}} {{Snapshots=${rows.join("<br>")}}}`);
+                return;
             }
-        },
-
-        processSingleDoor(doorID, action, playerid) {
-             // GM check can be added here if certain actions on single doors are GM-only, but typically not needed.
-            let door = getObj("door", doorID) || getObj("window", doorID);
-            if (!door) {
-                LightControl.utils.sendGmMessage(`❌ Error: Door or Window ${doorID} not found.`);
+            if (!name) {
+                LightControl.utils.sendGmMessage(`❌ Error: Missing snapshot name. Use: \`!wall snapshot ${sub} <name>\`.`);
                 return;
             }
-            let feedback = this.applyActionToDoorObject(door, action);
-            LightControl.utils.logDoorOperation(feedback || `❓ Unknown action or issue with door ${doorID}.`);
-        },
 
-        applyActionToDoorObject(doorObject, action) {
-            let message = "";
-            switch (action) {
-                case "close": doorObject.set("isOpen", false); message = `🚪 **${doorObject.get('_type')} Closed:** ${doorObject.id}`; break;
-                case "open":
-                    doorObject.set("isOpen", true);
-                    doorObject.set("isLocked", false);
-                    message = `🚪 **${doorObject.get('_type')} Opened and Unlocked:** ${doorObject.id}`;
+            switch (sub) {
+                case "save": {
+                    const pageid = Campaign().get("playerpageid");
+                    const walls = {};
+                    findObjs({ _pageid: pageid, _type: "pathv2" })
+                        .filter(w => w.get("layer") === "walls" || w.get("layer") === "gmlayer")
+                        .forEach(w => {
+                            const pending = LightControl.state.activeWallTweens[w.id];
+                            walls[w.id] = this.captureWallState(w);
+                            // Record where a sliding wall is heading, not where it happens to be mid-slide
+                            if (pending) Object.assign(walls[w.id], { x: pending.targetX, y: pending.targetY });
+                        });
+                    snapshots[name] = { pageid, savedAt: Date.now(), walls };
+                    LightControl.utils.sendGmMessage(`📸 Saved wall snapshot **${name}** (${Object.keys(walls).length} wall(s)).`);
                     break;
-                case "lock": doorObject.set("isLocked", true); message = `🔒 **${doorObject.get('_type')} Locked:** ${doorObject.id}`; break;
-                case "unlock": doorObject.set("isLocked", false); message = `🔓 **${doorObject.get('_type')} Unlocked:** ${doorObject.id}`; break;
-                case "reveal":
-                    if (doorObject.get('_type') === 'door') {
-                        doorObject.set("isSecret", false); message = `👁 **Secret Door Revealed:** ${doorObject.id}`;
-                    } else { message = `⚠️ Windows cannot be secret. No action for ${doorObject.id}.`; }
+                }
+                case "load": {
+                    const snap = snapshots[name];
+                    if (!snap) { LightControl.utils.sendGmMessage(`❌ Error: Unknown wall snapshot \`${name}\`.`); return; }
+                    let restoredCount = 0, missing = [];
+                    Object.keys(snap.walls).forEach(id => {
+                        const wall = getObj("pathv2", id);
+                        if (!wall) { missing.push(id); return; }
+                        this.rememberOriginal(wall);
+                        this.restoreWallState(wall, snap.walls[id]);
+                        restoredCount++;
+                    });
+                    LightControl.utils.sendGmMessage(`📸 Loaded wall snapshot **${name}**: ${restoredCount} wall(s) restored.` +
+                        (missing.length ? `<br>⚠️ ${missing.length} wall(s) no longer exist: ${missing.join(", ")}` : ""));
                     break;
-                case "set_secret_true":
-                    if (doorObject.get('_type') === 'door') {
-                        doorObject.set("isSecret", true); message = `🤫 **Door made Secret:** ${doorObject.id}`;
-                    } else { message = `⚠️ Windows cannot be secret. No action for ${doorObject.id}.`; }
+                }
+                case "delete":
+                    if (!snapshots[name]) { LightControl.utils.sendGmMessage(`❌ Error: Unknown wall snapshot \`${name}\`.`); return; }
+                    delete snapshots[name];
+                    LightControl.utils.sendGmMessage(`🗑️ Wall snapshot **${name}** deleted.`);
                     break;
-                default: message = `❌ Invalid action \`${action}\` for ${doorObject.get('_type')} ${doorObject.id}.`; break;
+                default:
+                    LightControl.utils.sendGmMessage("❌ Error: Unknown snapshot command. Use: `!wall snapshot save|load|delete <name>` or `!wall snapshot list`.");
             }
-            return message;
         },
 
-        processAllDoorsOnPage(action, pageid) {
-            if (!pageid) {
-                LightControl.utils.log("Error: No page ID provided for processAllDoorsOnPage.", 'error');
-                LightControl.utils.sendGmMessage("❌ Error: Could not determine current page for page-wide door operation.");
-                return;
+        // --- Wall Geometry ---
+
+        /**
+         * Returns a pathv2 wall's points in page coordinates as [[x, y], ...], or null if it has none.
+         * Local points are anchored so that their bounding-box centre sits on the wall's x/y
+         * (the same mapping TrapSystem uses for line-of-sight), and any `rotation` is applied around that centre.
+         */
+        getWallWorldPoints(wall) {
+            let localPoints;
+            try {
+                localPoints = JSON.parse(wall.get("points") || "[]");
+            } catch (e) {
+                return null;
             }
+            if (!Array.isArray(localPoints)) return null;
+            localPoints = localPoints.filter(p => Array.isArray(p) && p.length >= 2);
+            if (localPoints.length === 0) return null;
 
-            let doorsAndWindows = findObjs({ _pageid: pageid, _type: "door" });
-            doorsAndWindows = doorsAndWindows.concat(findObjs({ _pageid: pageid, _type: "window" }));
+            const xs = localPoints.map(p => p[0]);
+            const ys = localPoints.map(p => p[1]);
+            const localCenterX = (Math.min(...xs) + Math.max(...xs)) / 2;
+            const localCenterY = (Math.min(...ys) + Math.max(...ys)) / 2;
+            const center = { x: parseFloat(wall.get("x")) || 0, y: parseFloat(wall.get("y")) || 0 };
+            const rotation = parseFloat(wall.get("rotation")) || 0;
 
-            if (doorsAndWindows.length === 0) {
-                LightControl.utils.sendGmMessage("🚪 No doors or windows found on the current page.");
-                return;
-            }
+            return localPoints.map(p => {
+                const offset = LightControl.utils.rotatePoint({ x: p[0] - localCenterX, y: p[1] - localCenterY }, { x: 0, y: 0 }, rotation);
+                return [center.x + offset.x, center.y + offset.y];
+            });
+        },
 
-            let changedCount = 0;
-            doorsAndWindows.forEach(obj => {
-                let processed = true;
-                let singleFeedback = this.applyActionToDoorObject(obj, action);
-                // Check if feedback indicates an actual change or just a warning/error for that object
-                if (singleFeedback.startsWith("❌") || singleFeedback.startsWith("⚠️")) {
-                    processed = false;
-                }
-                if (processed) changedCount++;
+        /**
+         * Writes page-coordinate points back to a pathv2 wall: x/y become the bounding-box centre,
+         * points are stored relative to the bounding box's top-left corner and `rotation` is reset.
+         */
+        setWallWorldPoints(wall, worldPoints) {
+            const round = n => Math.round(n * 100) / 100;
+            const xs = worldPoints.map(p => p[0]);
+            const ys = worldPoints.map(p => p[1]);
+            const minX = Math.min(...xs), minY = Math.min(...ys);
+            LightControl.history.set(wall, {
+                x: round((minX + Math.max(...xs)) / 2),
+                y: round((minY + Math.max(...ys)) / 2),
+                points: JSON.stringify(worldPoints.map(p => [round(p[0] - minX), round(p[1] - minY)])),
+                rotation: 0
             });
+        },
 
-            if (changedCount > 0) {
-                LightControl.utils.logDoorOperation(`🚪 Processed ${changedCount} door(s)/window(s) on the page. Action: ${action}.`);
-            } else {
-                LightControl.utils.logDoorOperation(`🚪 No doors/windows were affected by the action \`${action}\` on this page (possibly due to type mismatch for secret actions or invalid action).`);
+        /**
+         * Resolves a pivot name to page coordinates: `center` (bounding-box centre), `start`/`end`
+         * (first/last path point) or a literal `x,y`. Returns null if it can't be resolved.
+         */
+        resolvePivot(wall, pivotSpec) {
+            const spec = String(pivotSpec).toLowerCase();
+            if (spec === "center" || spec === "centre") {
+                return { x: parseFloat(wall.get("x")) || 0, y: parseFloat(wall.get("y")) || 0 };
             }
+            if (spec === "start" || spec === "end") {
+                const points = this.getWallWorldPoints(wall);
+                if (!points) return null;
+                const point = spec === "start" ? points[0] : points[points.length - 1];
+                return { x: point[0], y: point[1] };
+            }
+            const match = spec.match(/^(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)$/);
+            return match ? { x: parseFloat(match[1]), y: parseFloat(match[2]) } : null;
         },
 
-        processAreaDoorCommand(shape, dimension, action, selectedTokens, playerid) {
-            if (!LightControl.utils.isGM(playerid)) {
-                let player_obj = getObj('player', playerid);
-                let display_name = "";
-                if(player_obj) display_name = player_obj.get('_displayname');
-                sendChat("LightControl", "/w " + display_name + " Permission error: area door commands are GM only.", null, {noarchive: true});
-                return;
-            }
+        /**
+         * Resolves a pivot for several walls at once: `center` is the centre of their combined bounding box,
+         * `start`/`end` the first point of the first wall and the last point of the last one, and a literal `x,y` as given.
+         */
+        resolveGroupPivot(walls, pivotSpec) {
+            const spec = String(pivotSpec).toLowerCase();
+            if (spec === "start") return this.resolvePivot(walls[0], spec);
+            if (spec === "end") return this.resolvePivot(walls[walls.length - 1], spec);
+            if (spec !== "center" && spec !== "centre") return this.resolvePivot(walls[0], spec);
 
-            if (!selectedTokens || selectedTokens.length === 0) {
-                LightControl.utils.sendGmMessage("❌ Error: No tokens selected for area door operation. Please select token(s) to center the area.");
-                return;
-            }
+            const points = [];
+            walls.forEach(wall => {
+                points.push(...(this.getWallWorldPoints(wall) || [[parseFloat(wall.get("x")) || 0, parseFloat(wall.get("y")) || 0]]));
+            });
+            const xs = points.map(p => p[0]), ys = points.map(p => p[1]);
+            return { x: (Math.min(...xs) + Math.max(...xs)) / 2, y: (Math.min(...ys) + Math.max(...ys)) / 2 };
+        },
 
-            if (isNaN(dimension) || dimension <= 0) {
-                LightControl.utils.sendGmMessage(`❌ Error: Invalid dimension value for ${shape}. Must be a positive number.`);
-                return;
+        /**
+         * Rotates a wall clockwise by `degrees` around `pivot`. Polyline and freehand walls have every
+         * point rotated; rectangles and ellipses keep their points and get their `rotation` adjusted.
+         * Returns false if the wall has no usable geometry.
+         */
+        rotateWall(wall, degrees, pivot) {
+            const shape = wall.get("shape");
+            if (shape === "rec" || shape === "eli") {
+                const center = LightControl.utils.rotatePoint({ x: parseFloat(wall.get("x")) || 0, y: parseFloat(wall.get("y")) || 0 }, pivot, degrees);
+                LightControl.history.set(wall, { x: center.x, y: center.y, rotation: ((parseFloat(wall.get("rotation")) || 0) + degrees) % 360 });
+                return true;
             }
+            const points = this.getWallWorldPoints(wall);
+            if (!points) return false;
+            this.setWallWorldPoints(wall, points.map(p => {
+                const rotated = LightControl.utils.rotatePoint({ x: p[0], y: p[1] }, pivot, degrees);
+                return [rotated.x, rotated.y];
+            }));
+            return true;
+        },
 
-            const pageid = selectedTokens[0].get("_pageid");
-            const page = getObj("page", pageid);
-            const finalGridSize = (page.get('scale_number') === 0 || page.get('snapping_increment') === 0) ? 70 : (page.get('scale_number') * 70 / page.get('snapping_increment'));
-            
-            let centerX = 0, centerY = 0;
-            selectedTokens.forEach(t => { centerX += t.get("left"); centerY += t.get("top"); });
-            centerX /= selectedTokens.length; centerY /= selectedTokens.length;
+        // --- Wall Groups ---
+        // Groups are stored in state.LightControl.wallGroups as { groupName: [wallID, ...] }.
 
-            const allDoorsAndWindowsOnPage = findObjs({ _pageid: pageid, _type: "door" })
-                                        .concat(findObjs({ _pageid: pageid, _type: "window" }));
-            
-            let affectedObjects = [];
+        /**
+         * `!wall <selector> <action> [params...]`: applies an action to every wall the selector matches.
+         */
+        processSelectorWallCommand(selector, actionArgs, flags, selected, playerid) {
+            const result = LightControl.selectors.resolve(selector, "wall", { selected });
+            if (result.error) { LightControl.utils.sendGmMessage(`❌ Error: ${result.error}`); return; }
+            if (result.objects.length === 0) { LightControl.utils.sendGmMessage(`⚠️ Selector \`${selector}\` matched no walls.`); return; }
+            if (!LightControl.perms.check("wall", playerid, result.objects)) return;
+            if (actionArgs.length === 0) { LightControl.utils.sendGmMessage(`❌ Error: Missing action. Use: \`!wall ${selector} <action> [Grid Size] [Grids]\`.`); return; }
 
-            switch (shape) {
-                case "square":
-                    const halfPixelSize = (dimension * finalGridSize) / 2;
-                    affectedObjects = allDoorsAndWindowsOnPage.filter(obj => 
-                        Math.abs(obj.get("left") - centerX) <= halfPixelSize && 
-                        Math.abs(obj.get("top") - centerY) <= halfPixelSize
-                    );
-                    break;
-                case "circle":
-                    const radiusPixel = dimension * finalGridSize;
-                    affectedObjects = allDoorsAndWindowsOnPage.filter(obj => {
-                        const dx = obj.get("left") - centerX;
-                        const dy = obj.get("top") - centerY;
-                        return Math.sqrt(dx * dx + dy * dy) <= radiusPixel;
+            const tween = this.parseTweenOptions(flags);
+            if (tween.error) { LightControl.utils.sendGmMessage(`❌ ${tween.error}`); return; }
+
+            let changedCount = 0, failures = [];
+            this.applyActionChainToWalls(result.objects, actionArgs, tween).forEach(({ feedback }) => {
+                const wallFailures = feedback.filter(f => f.startsWith("❌"));
+                if (wallFailures.length > 0) failures.push(...wallFailures); else changedCount++;
+            });
+            LightControl.utils.logWallMovement(`🧱 \`${selector}\`: applied \`${actionArgs.join(" ")}\` to ${changedCount} of ${result.objects.length} wall(s).`);
+            if (failures.length > 0) {
+                LightControl.utils.sendGmMessage(`❌ Some wall operations failed:<br>${[...new Set(failures)].join('<br>')}`);
+            }
+        },
+
+        processGroupCommand(groupArgs, flags, selected, playerid) {
+            const groups = LightControl.utils.getState().wallGroups;
+            const sub = groupArgs[0] ? groupArgs[0].toLowerCase() : "list";
+            const groupName = groupArgs[1] ? groupArgs[1].toLowerCase() : null;
+            if (["add", "remove", "delete", "list"].includes(sub) && !LightControl.perms.check("wall_admin", playerid)) return;
+
+            switch (sub) {
+                case "add": {
+                    if (!groupName) { LightControl.utils.sendGmMessage("❌ Error: Missing group name. Use: `!wall group add <name> [ID1] [ID2]...` (or select walls)."); return; }
+                    const candidateIDs = groupArgs.slice(2).concat((selected || []).filter(s => s._type === "pathv2").map(s => s._id));
+                    if (candidateIDs.length === 0) { LightControl.utils.sendGmMessage("❌ Error: No wall IDs given and no walls selected."); return; }
+                    const group = groups[groupName] = groups[groupName] || [];
+                    let added = 0, missing = [];
+                    candidateIDs.forEach(id => {
+                        if (!getObj("pathv2", id)) { missing.push(id); return; }
+                        if (!group.includes(id)) { group.push(id); added++; }
                     });
-                    break;
-                default:
-                    LightControl.utils.sendGmMessage(`❌ Error: Unknown shape \`${shape}\`. Supported shapes: square, circle.`);
+                    LightControl.utils.sendGmMessage(`🧱 Added ${added} wall(s) to group **${groupName}** (${group.length} total).` +
+                        (missing.length ? `<br>⚠️ Not found: ${missing.join(", ")}` : ""));
+                    return;
+                }
+                case "remove": {
+                    if (!groupName || !groups[groupName]) { LightControl.utils.sendGmMessage(`❌ Error: Unknown wall group \`${groupName || ""}\`.`); return; }
+                    const idsToRemove = groupArgs.slice(2).concat((selected || []).map(s => s._id));
+                    groups[groupName] = groups[groupName].filter(id => !idsToRemove.includes(id));
+                    LightControl.utils.sendGmMessage(`🧱 Group **${groupName}** now has ${groups[groupName].length} wall(s).`);
+                    return;
+                }
+                case "delete":
+                    if (!groupName || !groups[groupName]) { LightControl.utils.sendGmMessage(`❌ Error: Unknown wall group \`${groupName || ""}\`.`); return; }
+                    delete groups[groupName];
+                    LightControl.utils.sendGmMessage(`🗑️ Wall group **${groupName}** deleted.`);
+                    return;
+                case "list":
+                    this.showGroupList(groupName);
                     return;
+                default:
+                    break;
             }
 
+            // !wall group <name> <action> [params...]
+            const name = sub;
+            const wallIDs = groups[name];
+            if (!wallIDs) { LightControl.utils.sendGmMessage(`❌ Error: Unknown wall group \`${name}\`. Use \`!wall group list\`.`); return; }
+            if (!LightControl.perms.check("wall", playerid, wallIDs.map(id => getObj("pathv2", id)).filter(Boolean))) return;
+            if (!groupArgs[1]) { LightControl.utils.sendGmMessage(`❌ Error: Missing action. Use: \`!wall group ${name} <action> [Grid Size] [Grids]\`.`); return; }
+
+            const tween = this.parseTweenOptions(flags);
+            if (tween.error) { LightControl.utils.sendGmMessage(`❌ ${tween.error}`); return; }
+
+            const action = groupArgs.slice(1).join(" ");
+            let changedCount = 0, failures = [];
+            const walls = [];
+            wallIDs.forEach(id => {
+                const wall = getObj("pathv2", id);
+                if (wall) walls.push(wall); else failures.push(`Wall ${id} not found.`);
+            });
+            this.applyActionChainToWalls(walls, groupArgs.slice(1), tween).forEach(({ feedback }) => {
+                const wallFailures = feedback.filter(f => f.startsWith("❌"));
+                if (wallFailures.length > 0) failures.push(...wallFailures); else changedCount++;
+            });
+
+            LightControl.utils.logWallMovement(`🧱 Group **${name}**: applied \`${action}\` to ${changedCount} of ${wallIDs.length} wall(s).`);
+            if (failures.length > 0) {
+                // Identical errors (e.g. an invalid action) are reported once
+                LightControl.utils.sendGmMessage(`❌ Some wall operations failed:<br>${[...new Set(failures)].join('<br>')}`);
+            }
+        },
+
+        showGroupList(groupName) {
+            const groups = LightControl.utils.getState().wallGroups;
+            const names = groupName ? [groupName] : Object.keys(groups).sort();
+            if (names.length === 0) {
+                LightControl.utils.sendGmMessage("🧱 No wall groups defined. Use `!wall group add <name>`.");
+                return;
+            }
+            const sections = names.map(name => {
+                if (!groups[name]) return `❌ Unknown wall group \`${name}\`.`;
+                const rows = groups[name].map(id => {
+                    const wall = getObj("pathv2", id);
+                    if (!wall) return `• ${id}: ❌ missing`;
+                    const moving = LightControl.state.activeWallTweens[id] ? " (sliding)" : "";
+                    return `• ${id}: ${wall.get("layer")} @ ${Math.round(wall.get("x"))},${Math.round(wall.get("y"))}${moving}`;
+                });
+                return `<b>${name}</b> (${rows.length})<br>${rows.join("<br>") || "• (empty)"}`;
+            });
+            LightControl.utils.sendGmMessage(`&{template:default} {{name=🧱 Wall Groups}} {{Groups=${sections.join("<br><br>")}}}`);
+        },
+
+        /**
+         * Reads --duration/--steps into { duration (ms), steps }. A duration of 0 means an instant move.
+         * If only --steps is given, each step takes WALL_TWEEN_MIN_INTERVAL_MS.
+         */
+        parseTweenOptions(flags) {
+            const config = LightControl.config;
+            let duration = 0;
+            let steps = 0;
+            if (flags.duration !== undefined) {
+                duration = LightControl.utils.parseDuration(flags.duration);
+                if (isNaN(duration) || duration < 0) return { error: `Invalid --duration \`${flags.duration}\`. Use e.g. 2, 2s or 1500ms.` };
+            }
+            if (flags.steps !== undefined) {
+                steps = parseInt(flags.steps, 10);
+                if (isNaN(steps) || steps < 1) return { error: `Invalid --steps \`${flags.steps}\`. Must be a positive whole number.` };
+            }
+            let collide;
+            if (flags.collide !== undefined) {
+                collide = String(flags.collide).toLowerCase();
+                if (!this.COLLISION_MODES.includes(collide)) return { error: `Invalid --collide \`${flags.collide}\`. Use ${this.COLLISION_MODES.join(", ")}.` };
+            }
+            if (steps > 0 && duration === 0) duration = steps * config.WALL_TWEEN_MIN_INTERVAL_MS;
+            if (duration > 0 && steps === 0) steps = config.WALL_TWEEN_DEFAULT_STEPS;
+            // Keep the step rate within limits so long slides don't flood the sandbox with updates
+            steps = Math.min(steps, config.WALL_TWEEN_MAX_STEPS, Math.max(1, Math.floor(duration / config.WALL_TWEEN_MIN_INTERVAL_MS)));
+            return { duration, steps, collide };
+        },
+
+        /**
+         * Moves a wall by (dx, dy) pixels, either instantly or as a slide of `tween.steps` updates
+         * spread over `tween.duration` ms. The final step always lands exactly on the target.
+         * With a collision mode (`tween.collide`, the wall's `collide` metadata or config.WALL_COLLISION_MODE)
+         * every step also pushes or crushes the tokens in its way.
+         */
+        translateWall(wall, dx, dy, tween = {}) {
+            const startX = wall.get("x");
+            const startY = wall.get("y");
+            const targetX = startX + dx;
+            const targetY = startY + dy;
+            // Metadata set before it was validated may hold anything; only a known mode counts
+            const metaCollide = LightControl.meta.get(wall.id).collide;
+            const collide = tween.collide || (this.COLLISION_MODES.includes(metaCollide) ? metaCollide : LightControl.config.WALL_COLLISION_MODE);
+            const collisions = collide !== "none" ? { mode: collide, affected: {} } : null;
+
+            if (!tween.duration || tween.steps <= 1) {
+                this.moveWallStep(wall, targetX, targetY, collisions, true);
+                this.reportCollisions(wall, collisions);
+                return;
+            }
+            // The whole slide is one change in the history; the steps themselves aren't recorded
+            LightControl.history.record(wall, { x: targetX, y: targetY });
+
+            const wallID = wall.id;
+            const interval = tween.duration / tween.steps;
+            // Tokens pushed during the slide are recorded into the operation that started it
+            const tweenData = { timeout: null, targetX, targetY, collisions, operation: LightControl.state.currentOperation };
+            LightControl.state.activeWallTweens[wallID] = tweenData;
+
+            let step = 0;
+            const advance = () => {
+                if (LightControl.state.activeWallTweens[wallID] !== tweenData) return;
+                const liveWall = getObj("pathv2", wallID);
+                if (!liveWall) {
+                    delete LightControl.state.activeWallTweens[wallID];
+                    return;
+                }
+                step++;
+                if (step >= tween.steps) {
+                    LightControl.history.within(tweenData.operation, () => this.moveWallStep(liveWall, targetX, targetY, collisions, false));
+                    delete LightControl.state.activeWallTweens[wallID];
+                    this.reportCollisions(liveWall, collisions);
+                    return;
+                }
+                const progress = step / tween.steps;
+                LightControl.history.within(tweenData.operation, () => this.moveWallStep(liveWall,
+                    Math.round(startX + dx * progress), Math.round(startY + dy * progress), collisions, false));
+                tweenData.timeout = setTimeout(advance, interval);
+            };
+            tweenData.timeout = setTimeout(advance, interval);
+        },
+
+        /**
+         * Cancels an in-progress slide on a wall and snaps it to the slide's target position.
+         * Returns true if a slide was interrupted.
+         */
+        finishTween(wallID) {
+            const tweenData = LightControl.state.activeWallTweens[wallID];
+            if (!tweenData) return false;
+            clearTimeout(tweenData.timeout);
+            delete LightControl.state.activeWallTweens[wallID];
+            const wall = getObj("pathv2", wallID);
+            if (wall) {
+                this.moveWallStep(wall, tweenData.targetX, tweenData.targetY, tweenData.collisions, true);
+                this.reportCollisions(wall, tweenData.collisions);
+            }
+            return true;
+        },
+
+        // --- Collisions ---
+        COLLISION_MODES: ["none", "push", "crush"],
+
+        /**
+         * Moves a wall to (x, y) and, with `collisions` ({ mode, affected }), pushes or crushes the tokens it
+         * runs into on the way. `affected` collects { tokenID: "pushed"|"crushed" } across the steps of a slide.
+         * `recorded` writes the wall move to the history (slide steps aren't; the slide was recorded when it started).
+         */
+        moveWallStep(wall, x, y, collisions, recorded) {
+            const fromPoints = collisions ? this.getWallWorldPoints(wall) : null;
+            const dx = x - (parseFloat(wall.get("x")) || 0), dy = y - (parseFloat(wall.get("y")) || 0);
+            if (recorded) LightControl.history.set(wall, { x, y });
+            else wall.set({ x, y });
+            if (!fromPoints || (dx === 0 && dy === 0)) return;
+
+            const distance = Math.hypot(dx, dy);
+            this.findCollisions(wall, fromPoints, dx, dy).forEach(({ token, push }) => {
+                if (collisions.affected[token.id] === "crushed") return;
+                const from = { x: token.get("left"), y: token.get("top") };
+                const to = { x: from.x + dx / distance * push, y: from.y + dy / distance * push };
+                if (collisions.mode === "push" && LightControl.utils.hasLineOfSight(from, to, wall.get("_pageid"), [wall.id])) {
+                    LightControl.history.set(token, { left: to.x, top: to.y });
+                    collisions.affected[token.id] = "pushed";
+                    return;
+                }
+                // Crush mode, or a push that would shove the token through another wall or a closed door
+                collisions.affected[token.id] = "crushed";
+                const marker = LightControl.config.WALL_CRUSH_MARKER;
+                const markers = (token.get("statusmarkers") || "").split(",").filter(Boolean);
+                if (marker && !markers.includes(marker)) LightControl.history.set(token, { statusmarkers: markers.concat(marker).join(",") });
+            });
+        },
+
+        /**
+         * Tokens on the objects layer that a wall moving by (dx, dy) from `fromPoints` runs into, each with how far
+         * (px, along the move) it must go to end up just in front of the wall. Works in coordinates along and across
+         * the move: the part of each wall segment within the token's width is its leading edge, and a token is hit
+         * when that edge (starting at or behind the token's centre) passes the token's back.
+         */
+        findCollisions(wall, fromPoints, dx, dy) {
+            const distance = Math.hypot(dx, dy);
+            if (!fromPoints || fromPoints.length < 2 || distance === 0) return [];
+            const ux = dx / distance, uy = dy / distance;
+            const toLocal = (x, y) => ({ along: x * ux + y * uy, across: y * ux - x * uy });
+            const points = fromPoints.map(p => toLocal(p[0], p[1]));
+            const closed = wall.get("shape") === "rec" || wall.get("shape") === "eli";
+            const segments = [];
+            for (let i = 0; i < points.length - (closed ? 0 : 1); i++) segments.push([points[i], points[(i + 1) % points.length]]);
+
+            const hits = [];
+            findObjs({ _pageid: wall.get("_pageid"), _type: "graphic", _subtype: "token", layer: "objects" }).forEach(token => {
+                const center = toLocal(token.get("left"), token.get("top"));
+                const radius = Math.min(parseFloat(token.get("width")) || 70, parseFloat(token.get("height")) || 70) / 2;
+                let front = -Infinity;
+                segments.forEach(([a, b]) => {
+                    const low = Math.max(Math.min(a.across, b.across), center.across - radius);
+                    const high = Math.min(Math.max(a.across, b.across), center.across + radius);
+                    if (low > high) return;
+                    const alongAt = (across) => a.across === b.across ? Math.max(a.along, b.along)
+                        : a.along + (b.along - a.along) * (across - a.across) / (b.across - a.across);
+                    const edge = [alongAt(low), alongAt(high)];
+                    if (Math.min(...edge) > center.along) return; // Entirely ahead of the token: moving away from it
+                    front = Math.max(front, ...edge);
+                });
+                if (front === -Infinity || front + distance <= center.along - radius) return;
+                const push = front + distance + radius - center.along;
+                if (push > 0) hits.push({ token, push });
+            });
+            return hits;
+        },
+
+        /**
+         * Whispers the GM which tokens a wall move pushed or crushed.
+         */
+        reportCollisions(wall, collisions) {
+            if (!collisions) return;
+            const names = (outcome) => Object.keys(collisions.affected).filter(id => collisions.affected[id] === outcome)
+                .map(id => getObj("graphic", id)).filter(Boolean).map(token => LightControl.utils.getTokenName(token));
+            const pushed = names("pushed"), crushed = names("crushed");
+            if (pushed.length === 0 && crushed.length === 0) return;
+            LightControl.utils.sendGmMessage(`🧱 Wall ${wall.id} ` + [
+                pushed.length > 0 ? `pushed ${pushed.join(", ")}` : null,
+                crushed.length > 0 ? `💀 crushed ${crushed.join(", ")}` : null
+            ].filter(Boolean).join(" and ") + ".");
+        }
+    },
+
+    // Object Metadata
+    // LightControl settings attached to doors, windows and walls, stored in state.LightControl.objectMeta by object ID.
+    // Each field is a "number", a "string" or a list of the values it accepts.
+    meta: {
+        FIELDS: {
+            key: "string",   // Item name that unlocks the door (see door.tokenHasKey)
+            pickdc: "number", // DC to pick the lock with `!door <ID> pick`
+            name: "string",  // Name matched by `name:` selectors
+            label: "string", // Group heading in `!door list` and tag(s) matched by `tag:` selectors (comma-separated)
+            hp: "number",    // Hit points before the door breaks (`!door <ID> damage <amount>`)
+            ac: "number",    // Armor class attacks against the door must meet (`--attack <total>`)
+            breakdc: "number", // DC to break the door open with `!door <ID> force`
+            perceptiondc: "number", // Passive Perception that notices a secret door
+            searchradius: "number", // Grid squares within which a secret door can be noticed
+            searchmode: "string",   // "reveal" or "whisper" (GM alert only); defaults to config.SECRET_DOOR_MODE
+            collide: ["none", "push", "crush"] // Wall collision mode; defaults to config.WALL_COLLISION_MODE
+        },
+
+        get(objectId) {
+            return LightControl.utils.getState().objectMeta[objectId] || {};
+        },
+
+        set(objectId, field, value) {
+            const objectMeta = LightControl.utils.getState().objectMeta;
+            objectMeta[objectId] = objectMeta[objectId] || {};
+            objectMeta[objectId][field] = value;
+        },
+
+        clear(objectId, field) {
+            const objectMeta = LightControl.utils.getState().objectMeta;
+            if (!objectMeta[objectId]) return;
+            if (field) delete objectMeta[objectId][field];
+            if (!field || Object.keys(objectMeta[objectId]).length === 0) delete objectMeta[objectId];
+        },
+
+        /**
+         * `!lc meta <ID>` shows, `!lc meta <ID> set <field> <value...>` sets and `!lc meta <ID> clear [field]` removes metadata.
+         */
+        processMetaCommand(metaArgs, playerid) {
+            if (!LightControl.perms.check("meta", playerid)) return;
+            const objectId = metaArgs[0];
+            if (!objectId) {
+                LightControl.utils.sendGmMessage("❌ Error: Missing object ID. Use: `!lc meta <ID> [set <field> <value> | clear [field]]`.");
+                return;
+            }
+            const obj = getObj("door", objectId) || getObj("window", objectId) || getObj("pathv2", objectId);
+            if (!obj) {
+                LightControl.utils.sendGmMessage(`❌ Error: Door, window or wall ${objectId} not found.`);
+                return;
+            }
+
+            const sub = metaArgs[1] ? metaArgs[1].toLowerCase() : "show";
+            const field = metaArgs[2] ? metaArgs[2].toLowerCase() : null;
+            if (sub === "set") {
+                if (!field || !this.FIELDS[field]) {
+                    LightControl.utils.sendGmMessage(`❌ Error: Unknown field \`${field || ""}\`. Fields: ${Object.keys(this.FIELDS).join(", ")}.`);
+                    return;
+                }
+                const rawValue = metaArgs.slice(3).join(" ").trim();
+                let value = rawValue;
+                if (this.FIELDS[field] === "number") {
+                    value = parseFloat(rawValue);
+                    if (isNaN(value)) { LightControl.utils.sendGmMessage(`❌ Error: \`${field}\` must be a number.`); return; }
+                } else if (Array.isArray(this.FIELDS[field])) {
+                    value = rawValue.toLowerCase();
+                    if (!this.FIELDS[field].includes(value)) {
+                        LightControl.utils.sendGmMessage(`❌ Error: \`${field}\` must be one of ${this.FIELDS[field].join(", ")}.`);
+                        return;
+                    }
+                } else if (!rawValue) {
+                    LightControl.utils.sendGmMessage(`❌ Error: Missing value for \`${field}\`.`);
+                    return;
+                }
+                this.set(objectId, field, value);
+            } else if (sub === "clear") {
+                this.clear(objectId, field);
+            } else if (sub !== "show") {
+                LightControl.utils.sendGmMessage("❌ Error: Unknown meta command. Use: `!lc meta <ID> [set <field> <value> | clear [field]]`.");
+                return;
+            }
+
+            const meta = this.get(objectId);
+            const rows = Object.keys(meta).map(k => `• <b>${k}</b>: ${meta[k]}`);
+            LightControl.utils.sendGmMessage(`🏷️ **${obj.get("_type")} ${objectId}** metadata:<br>${rows.join("<br>") || "• (none)"}`);
+        }
+    },
+
+    // Object Selectors
+    // `!wall` and `!door` accept these wherever they take an object ID:
+    // name:<glob>, tag:<label>, page:<name> (with "_" for spaces), layer:<layer> (walls only), selected and within:<squares> (of the selected tokens).
+    // Joining selectors with "+" keeps only objects matching all of them, e.g. `tag:cellblock+page:Dungeon`.
+    selectors: {
+        isSelector(spec) {
+            return /^(selected|(name|tag|page|layer|within):.+)$/i.test(String(spec).split("+")[0]);
+        },
+
+        /**
+         * Every object of `kind` ("wall" = pathv2 walls, "door" = doors and windows) a selector matches.
+         * `context` provides `selected` (the chat message's selection). Returns { objects } or { error }.
+         */
+        resolve(spec, kind, context = {}) {
+            let result = null;
+            for (const part of String(spec).split("+")) {
+                const matched = this.resolvePart(part, kind, context);
+                if (matched.error) return matched;
+                const ids = new Set(matched.objects.map(o => o.id));
+                result = result === null ? matched.objects : result.filter(o => ids.has(o.id));
+            }
+            return { objects: result || [] };
+        },
+
+        resolvePart(part, kind, context) {
+            const separator = part.indexOf(":");
+            const type = (separator === -1 ? part : part.slice(0, separator)).toLowerCase();
+            const value = separator === -1 ? "" : part.slice(separator + 1);
+            const selected = context.selected || [];
+
+            switch (type) {
+                case "selected": {
+                    const types = kind === "wall" ? ["pathv2"] : ["door", "window"];
+                    return { objects: selected.filter(sel => types.includes(sel._type)).map(sel => getObj(sel._type, sel._id)).filter(Boolean) };
+                }
+                case "name": {
+                    const pattern = this.globToRegExp(value);
+                    return { objects: this.candidates(kind).filter(obj => pattern.test(obj.get("name") || LightControl.meta.get(obj.id).name || "")) };
+                }
+                case "tag": {
+                    const tag = value.toLowerCase();
+                    return {
+                        objects: this.candidates(kind).filter(obj => String(LightControl.meta.get(obj.id).label || "")
+                            .split(",").some(label => label.trim().toLowerCase() === tag))
+                    };
+                }
+                case "page": {
+                    const page = LightControl.utils.resolvePage(value);
+                    if (!page) return { error: `Page \`${value}\` not found.` };
+                    return { objects: this.candidates(kind, page.id) };
+                }
+                case "layer": {
+                    // Any pathv2 on the layer, not just the wall candidates, so e.g. untouched GM-layer walls can be targeted
+                    const layer = value.toLowerCase();
+                    if (kind !== "wall") return { error: `\`${part}\` only applies to walls.` };
+                    if (!LightControl.config.VALID_LAYERS.includes(layer)) return { error: `Invalid layer in \`${part}\`. Use ${LightControl.config.VALID_LAYERS.join(", ")}.` };
+                    return { objects: findObjs({ _type: "pathv2" }).filter(path => path.get("layer") === layer) };
+                }
+                case "within": {
+                    const squares = parseFloat(value);
+                    if (isNaN(squares) || squares < 0) return { error: `Invalid distance in \`${part}\`.` };
+                    const tokens = selected.map(sel => getObj("graphic", sel._id)).filter(t => t && t.get("_subtype") === "token");
+                    if (tokens.length === 0) return { error: `\`${part}\` needs a selected token.` };
+                    return {
+                        objects: this.candidates(kind, tokens[0].get("_pageid")).filter(obj => tokens.some(token => {
+                            const page = getObj("page", token.get("_pageid"));
+                            return LightControl.areas.distanceInCells(page, LightControl.utils.getObjectCenter(token), LightControl.utils.getObjectCenter(obj)) <= squares;
+                        }))
+                    };
+                }
+                default:
+                    return { error: `Unknown selector \`${part}\`. Use name:, tag:, page:, layer:, selected or within:.` };
+            }
+        },
+
+        /**
+         * Doors and windows, or walls: pathv2 objects on the walls layer plus any LightControl has hidden or annotated.
+         */
+        candidates(kind, pageid) {
+            const query = pageid ? { _pageid: pageid } : {};
+            if (kind === "door") {
+                return findObjs(Object.assign({ _type: "door" }, query)).concat(findObjs(Object.assign({ _type: "window" }, query)));
+            }
+            const lcState = LightControl.utils.getState();
+            return findObjs(Object.assign({ _type: "pathv2" }, query))
+                .filter(path => path.get("layer") === "walls" || lcState.wallOriginals[path.id] || lcState.objectMeta[path.id]);
+        },
+
+        globToRegExp(glob) {
+            const escaped = glob.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+            return new RegExp(`^${escaped}$`, "i");
+        },
+
+        /**
+         * Expands a list of IDs and selectors into object IDs (in order, without duplicates).
+         * Returns { ids, errors }.
+         */
+        expandIds(specs, kind, context) {
+            const ids = [], errors = [];
+            specs.forEach(spec => {
+                if (!this.isSelector(spec)) {
+                    if (!ids.includes(spec)) ids.push(spec);
+                    return;
+                }
+                const result = this.resolve(spec, kind, context);
+                if (result.error) { errors.push(result.error); return; }
+                if (result.objects.length === 0) errors.push(`Selector \`${spec}\` matched no ${kind === "wall" ? "walls" : "doors or windows"}.`);
+                result.objects.forEach(obj => { if (!ids.includes(obj.id)) ids.push(obj.id); });
+            });
+            return { ids, errors };
+        }
+    },
+
+    // Command Permissions
+    // Who may use each group of LightControl commands. Overrides of config.PERMISSION_DEFAULTS are stored in
+    // state.LightControl.permissions as { key: { mode, players, range } }. GMs and the API itself are always allowed.
+    perms: {
+        KEYS: {
+            wall: "!wall actions on walls and wall groups",
+            wall_admin: "!wall group add/remove/delete/list, reset and snapshot",
+            door: "!door actions on specific doors (incl. pick, force, damage)",
+            door_area: "!door area and all_on_page",
+            door_admin: "!door list, ping, hook, schedule and repair",
+            toggledarkness: "!lc toggledarkness",
+            lightsource: "!lc lightsource and !lc advance",
+            flicker: "!lc flicker and !lc pulse",
+            vision: "!lc vision",
+            lightlevel: "!lc lightlevel",
+            scene: "!lc scene",
+            transfer: "!lc export and !lc import",
+            daycycle: "!lc daycycle and !lc time",
+            meta: "!lc meta",
+            secretdoors: "!lc secretdoors",
+            history: "!lc history and !lc undo",
+            help: "!lc help"
+        },
+        MODES: ["gm", "all", "players", "proximity"],
+
+        getRule(key) {
+            const overrides = LightControl.utils.getState().permissions;
+            return overrides[key] || { mode: LightControl.config.PERMISSION_DEFAULTS[key] || "gm", players: [], range: 0 };
+        },
+
+        /**
+         * True if the player may use the command group `key`. In proximity mode every target
+         * (door, window or wall) must be within `range` squares of a token the player controls.
+         */
+        allows(key, playerid, targets = []) {
+            if (!playerid || playerid === "API" || LightControl.utils.isGM(playerid)) return true;
+            const rule = this.getRule(key);
+            switch (rule.mode) {
+                case "all": return true;
+                case "players": return rule.players.includes(playerid);
+                case "proximity":
+                    return targets.length > 0 && targets.every(target => this.isNearControlledToken(playerid, target, rule.range));
+                default: return false;
+            }
+        },
+
+        /**
+         * Like `allows`, but whispers the player why when they're refused.
+         */
+        check(key, playerid, targets = []) {
+            if (this.allows(key, playerid, targets)) return true;
+            const rule = this.getRule(key);
+            const reason = {
+                players: "only certain players may use it",
+                proximity: `you need a token within ${rule.range} square(s) of ${targets.length > 0 ? "every target" : "a door or wall target"}`
+            }[rule.mode] || "it is GM only";
+            LightControl.utils.whisperPlayer(playerid, `Permission error: ${this.KEYS[key] || key} — ${reason}.`);
+            return false;
+        },
+
+        isNearControlledToken(playerid, target, range) {
+            const pageid = target.get("_pageid");
+            const page = getObj("page", pageid);
+            const grid = LightControl.areas.getGrid(page);
+            const targetCenter = LightControl.utils.getObjectCenter(target);
+            return findObjs({ _pageid: pageid, _type: "graphic", _subtype: "token", layer: "objects" })
+                .filter(token => LightControl.utils.playerControlsToken(playerid, token))
+                .some(token => LightControl.areas.distance(grid, LightControl.utils.getObjectCenter(token), targetCenter) <= range);
+        },
+
+        resolvePlayer(spec) {
+            const player = getObj("player", spec);
+            if (player) return player;
+            return findObjs({ _type: "player" }).find(p => (p.get("_displayname") || "").toLowerCase() === spec.toLowerCase());
+        },
+
+        describeRule(rule) {
+            if (rule.mode === "players") {
+                const names = rule.players.map(id => getObj("player", id)?.get("_displayname") || id);
+                return `players: ${names.join(", ") || "(none)"}`;
+            }
+            if (rule.mode === "proximity") return `players with a token within ${rule.range} square(s)`;
+            return rule.mode === "all" ? "everyone" : "GM only";
+        },
+
+        /**
+         * `!lc perms` lists, `!lc perms <key> gm|all`, `!lc perms <key> players <name|ID>...`,
+         * `!lc perms <key> proximity <squares>` and `!lc perms reset [key]` change permissions. Always GM only.
+         */
+        processPermsCommand(permArgs, playerid) {
+            if (!LightControl.utils.isGM(playerid)) {
+                LightControl.utils.whisperPlayer(playerid, "Permission error: permissions can only be changed by the GM.");
+                return;
+            }
+            const overrides = LightControl.utils.getState().permissions;
+            const key = permArgs[0] ? permArgs[0].toLowerCase() : "list";
+
+            if (key === "list") {
+                const rows = Object.keys(this.KEYS).map(k => `• <b>${k}</b> (${this.KEYS[k]}): ${this.describeRule(this.getRule(k))}${overrides[k] ? "" : " <i>(default)</i>"}`);
+                LightControl.utils.sendGmMessage(`&{template:default} {{name=🛡️ LightControl Permissions}} {{Commands=${rows.join("<br>")}}}`);
+                return;
+            }
+            if (key === "reset") {
+                const target = permArgs[1] ? permArgs[1].toLowerCase() : null;
+                if (target) delete overrides[target]; else Object.keys(overrides).forEach(k => delete overrides[k]);
+                LightControl.utils.sendGmMessage(`🛡️ Permissions reset to defaults${target ? ` for ${target}` : ""}.`);
+                return;
+            }
+            if (!this.KEYS[key]) {
+                LightControl.utils.sendGmMessage(`❌ Error: Unknown permission \`${key}\`. Use one of: ${Object.keys(this.KEYS).join(", ")}.`);
+                return;
+            }
+
+            const mode = permArgs[1] ? permArgs[1].toLowerCase() : null;
+            if (!this.MODES.includes(mode)) {
+                LightControl.utils.sendGmMessage(`❌ Error: Use \`!lc perms ${key} gm|all\`, \`!lc perms ${key} players <name|ID>...\` or \`!lc perms ${key} proximity <squares>\`.`);
+                return;
+            }
+            const rule = { mode, players: [], range: 0 };
+            if (mode === "players") {
+                const missing = [];
+                permArgs.slice(2).forEach(spec => {
+                    const player = this.resolvePlayer(spec);
+                    if (player) rule.players.push(player.id); else missing.push(spec);
+                });
+                if (rule.players.length === 0) {
+                    LightControl.utils.sendGmMessage(`❌ Error: No players found${missing.length ? `: ${missing.join(", ")}` : ""}.`);
+                    return;
+                }
+            } else if (mode === "proximity") {
+                rule.range = parseFloat(permArgs[2]);
+                if (isNaN(rule.range) || rule.range <= 0) {
+                    LightControl.utils.sendGmMessage("❌ Error: Proximity needs a positive number of squares.");
+                    return;
+                }
+            }
+            overrides[key] = rule;
+            LightControl.utils.sendGmMessage(`🛡️ **${key}** is now allowed for ${this.describeRule(rule)}.`);
+        }
+    },
+
+    // Door/Window Management
+    door: {
+        processDoorCommand(args) {
+            if (args.length < 2) { // Min length for !door <target>
+                LightControl.utils.sendGmMessage("❌ Error: Missing parameters for !door command. Try `!lc help`.");
+                return;
+            }
+
+            const originalTarget = args[1];
+            const keyword = originalTarget.toLowerCase();
+            const playerid = args.whoisplayerid; // Passed from main handler
+
+            if (keyword === "all_on_page") {
+                if (args.length < 3) { LightControl.utils.sendGmMessage("❌ Error: Missing action for `all_on_page`. Use: `!door all_on_page <action>`."); return; }
+                const action = args[2].toLowerCase();
+                if (!LightControl.perms.check("door_area", playerid)) return;
+                this.processAllDoorsOnPage(action, Campaign().get("playerpageid"));
+            }
+            else if (keyword === "area") {
+                if (args.length < 4) { // !door area shape [dimensions...] action
+                     LightControl.utils.sendGmMessage("❌ Error: Missing parameters for `area` operation. Use: `!door area <shape> [dimensions...] <action>`."); return; 
+                }
+                const shape = args[2].toLowerCase();
+                const dimensions = args.slice(3, args.length - 1);
+                const action = args[args.length - 1].toLowerCase();
+                const selectedGraphics = (args.selected || []).map(s => getObj("graphic", s._id)).filter(g => g && g.get("_subtype") === "token");
+                const selectedPaths = (args.selected || []).map(s => getObj(s._type, s._id)).filter(o => o && (o.get("_type") === "path" || o.get("_type") === "pathv2"));
+                
+                this.processAreaDoorCommand(shape, dimensions, action, selectedGraphics, selectedPaths, playerid);
+            }
+            else if (keyword === "list") {
+                this.showDoorList(args[2], playerid);
+            }
+            else if (keyword === "ping") {
+                this.pingDoor(args[2], playerid);
+            }
+            else if (keyword === "hook") {
+                LightControl.hooks.processHookCommand(args.slice(2), playerid);
+            }
+            else if (keyword === "schedule") {
+                if (!LightControl.perms.check("door_admin", playerid)) return;
+                this.processScheduleCommand(args.slice(2));
+            }
+            else { // Assumed to be one or more specific door IDs
+                const { positional, flags } = LightControl.utils.parseFlags(args);
+                if (positional.length < 3) {
+                    LightControl.utils.sendGmMessage("❌ Error: Missing action or door ID(s). Use: `!door [ID1] [ID2]... <action>`.");
+                    return;
+                }
+
+                const actingToken = (args.selected || []).map(sel => getObj("graphic", sel._id)).find(g => g && g.get("_subtype") === "token");
+
+                // `!door <IDs> damage <amount> [--attack <total>]`
+                if (positional.length >= 4 && positional[positional.length - 2].toLowerCase() === "damage") {
+                    const damaged = LightControl.selectors.expandIds(positional.slice(1, -2), "door", { selected: args.selected });
+                    if (damaged.errors.length > 0) LightControl.utils.whisperPlayer(playerid, `⚠️ ${damaged.errors.join("<br>⚠️ ")}`);
+                    const damagedDoors = damaged.ids.map(id => getObj("door", id) || getObj("window", id)).filter(Boolean);
+                    if (!LightControl.perms.check("door", playerid, damagedDoors)) return;
+                    this.processDoorDamage(damaged.ids, positional[positional.length - 1], flags.attack, playerid, actingToken);
+                    return;
+                }
+
+                const actionString = positional[positional.length - 1].toLowerCase();
+                const expanded = LightControl.selectors.expandIds(positional.slice(1, positional.length - 1), "door", { selected: args.selected });
+                if (expanded.errors.length > 0) LightControl.utils.whisperPlayer(playerid, `⚠️ ${expanded.errors.join("<br>⚠️ ")}`);
+                const doorIDs = expanded.ids;
+                
+                if (doorIDs.length === 0) {
+                    if (expanded.errors.length > 0) return;
+                    LightControl.utils.sendGmMessage("❌ Error: No door ID(s) provided. Use: `!door [ID1] [ID2]... <action>`.");
+                    return;
+                }
+
+                // Split actions by semicolon to support multiple actions
+                const actions = actionString.split(';').map(a => a.trim()).filter(a => a.length > 0);
+                
+                if (actions.length === 0) {
+                    LightControl.utils.sendGmMessage("❌ Error: No valid actions provided. Use: `!door [ID1] [ID2]... <action>` or `!door [ID1] [ID2]... <action1>;<action2>`.");
+                    return;
+                }
+
+                const targetDoors = doorIDs.map(id => getObj("door", id) || getObj("window", id)).filter(Boolean);
+                if (!LightControl.perms.check("door", playerid, targetDoors)) return;
+                if (actions.includes("repair") && !LightControl.perms.check("door_admin", playerid)) return;
+
+                if (["after", "autoclose", "every", "for"].some(flag => flags[flag] !== undefined)) {
+                    // Scheduled actions run as the API, so players can't use them to get past a key or pick check
+                    const keyedDoor = targetDoors.find(door => this.isKeyedForPlayer(door, actions, playerid));
+                    if (keyedDoor) {
+                        LightControl.utils.whisperPlayer(playerid, `❌ ${keyedDoor.get("_type")} ${keyedDoor.id} needs a key or lockpick. Unlock it with \`!door ${keyedDoor.id} unlock\` before using a timer.`);
+                        return;
+                    }
+                    this.processTimedDoorCommand(doorIDs, actions, flags);
+                    return;
+                }
+
+                let totalSuccesses = 0;
+                let totalFailures = [];
+
+                // Process each door with each action
+                doorIDs.forEach(doorID => {
+                    let door = getObj("door", doorID) || getObj("window", doorID);
+                    if (!door) {
+                        totalFailures.push(`Object ${doorID} not found.`);
+                        return;
+                    }
+
+                    if (actions.includes("force")) {
+                        this.attemptForce(door, playerid, actingToken)
+                            .catch(err => LightControl.utils.log(`Forcing door ${door.id} failed: ${err.message}`, 'error'));
+                        return;
+                    }
+
+                    // Keyed/pickable locks are resolved asynchronously and report their own results
+                    if (this.requiresKeyCheck(door, actions, playerid)) {
+                        this.attemptKeyedUnlock(door, actions, playerid, actingToken)
+                            .catch(err => LightControl.utils.log(`Key check failed for door ${door.id}: ${err.message}`, 'error'));
+                        return;
+                    }
+                    
+                    let doorSuccesses = 0;
+                    let doorFailures = [];
+                    
+                    // Apply each action to this door
+                    actions.forEach(action => {
+                        let feedback = this.applyActionToDoorObject(door, action);
+                        if (feedback.startsWith("❌") || feedback.startsWith("⚠️")) {
+                            doorFailures.push(feedback);
+                        } else {
+                            doorSuccesses++;
+                        }
+                    });
+                    
+                    if (doorSuccesses > 0) {
+                        totalSuccesses += doorSuccesses;
+                    }
+                    if (doorFailures.length > 0) {
+                        totalFailures.push(`Door ${doorID}: ${doorFailures.join(', ')}`);
+                    }
+                });
+
+                if (totalSuccesses > 0) {
+                    const actionText = actions.length > 1 ? `actions: \`${actions.join('; ')}\`` : `action: \`${actions[0]}\``;
+                    LightControl.utils.logDoorOperation(`🚪 Processed ${totalSuccesses} door operation(s). ${actionText}`);
+                }
+                if (totalFailures.length > 0) {
+                    LightControl.utils.sendGmMessage(`❌ Some operations failed:<br>${totalFailures.join('<br>')}`);
+                }
+            }
+        },
+
+        /**
+         * Heading a door is listed under: its `label` metadata, else a name or first GM notes line if the object has one.
+         */
+        getDoorLabel(door) {
+            const meta = LightControl.meta.get(door.id);
+            if (meta.label) return meta.label;
+            if (door.get("name")) return door.get("name");
+            let notes = door.get("gmnotes") || "";
+            try { notes = decodeURIComponent(notes); } catch (e) { /* keep raw notes */ }
+            const firstLine = notes.replace(/<[^>]*>/g, "\n").split("\n").map(l => l.trim()).find(Boolean);
+            if (firstLine) return firstLine;
+            return door.get("_type") === "window" ? "Windows" : "Doors";
+        },
+
+        /**
+         * `!door list [page]` whispers the GM every door and window on the page, grouped by label, with action and ping buttons.
+         */
+        showDoorList(pageSpec, playerid) {
+            if (!LightControl.perms.check("door_admin", playerid)) return;
+            const page = LightControl.utils.resolvePage(pageSpec);
+            if (!page) {
+                LightControl.utils.sendGmMessage(`❌ Error: Page \`${pageSpec}\` not found.`);
+                return;
+            }
+            const doors = findObjs({ _pageid: page.id, _type: "door" }).concat(findObjs({ _pageid: page.id, _type: "window" }));
+            if (doors.length === 0) {
+                LightControl.utils.sendGmMessage(`🚪 No doors or windows on ${page.get("name")}.`);
+                return;
+            }
+
+            const groups = {};
+            doors.forEach(door => {
+                const label = this.getDoorLabel(door);
+                (groups[label] = groups[label] || []).push(door);
+            });
+
+            const sections = Object.keys(groups).sort().map(label => {
+                const rows = groups[label].map(door => {
+                    const flags = LightControl.hooks.getDoorFlags(door);
+                    const meta = LightControl.meta.get(door.id);
+                    const integrity = LightControl.utils.getState().doorIntegrity[door.id];
+                    const status = [flags.isOpen ? "open" : "closed", flags.isLocked ? "🔒 locked" : null, flags.isSecret ? "🕵️ secret" : null,
+                        integrity && integrity.broken ? "💥 broken" : (meta.hp ? `${meta.hp - (integrity ? integrity.damage : 0)}/${meta.hp} HP` : null)].filter(Boolean).join(", ");
+                    const buttons = (integrity && integrity.broken ? [`[Repair](!door ${door.id} repair)`, `[📍](!door ping ${door.id})`] : [
+                        flags.isOpen ? `[Close](!door ${door.id} close)` : `[Open](!door ${door.id} open)`,
+                        flags.isLocked ? `[Unlock](!door ${door.id} unlock)` : `[Lock](!door ${door.id} lock)`,
+                        flags.isSecret ? `[Reveal](!door ${door.id} reveal)` : null,
+                        `[📍](!door ping ${door.id})`
+                    ]).filter(Boolean).join(" ");
+                    return `${door.get("_type") === "window" ? "🪟" : "🚪"} ${door.id} (${status})<br>${buttons}`;
+                });
+                return `{{${LightControl.utils.escapeTemplateText(label)}=${rows.join("<br>")}}}`;
+            });
+            LightControl.utils.sendGmMessage(`&{template:default} {{name=🚪 Doors on ${LightControl.utils.escapeTemplateText(page.get("name"))} (${doors.length})}} ${sections.join(" ")}`);
+        },
+
+        /**
+         * `!door ping <ID>` pings a door or window and pulls the GM's view to it.
+         */
+        pingDoor(doorID, playerid) {
+            if (!LightControl.perms.check("door_admin", playerid)) return;
+            const door = doorID ? (getObj("door", doorID) || getObj("window", doorID)) : null;
+            if (!door) {
+                LightControl.utils.sendGmMessage(`❌ Error: Door or Window ${doorID || ""} not found.`);
+                return;
+            }
+            const center = LightControl.utils.getObjectCenter(door);
+            sendPing(center.x, center.y, door.get("_pageid"), playerid, true, playerid);
+        },
+
+        processSingleDoor(doorID, action, playerid) {
+             // GM check can be added here if certain actions on single doors are GM-only, but typically not needed.
+            let door = getObj("door", doorID) || getObj("window", doorID);
+            if (!door) {
+                LightControl.utils.sendGmMessage(`❌ Error: Door or Window ${doorID} not found.`);
+                return;
+            }
+            let feedback = this.applyActionToDoorObject(door, action);
+            LightControl.utils.logDoorOperation(feedback || `❓ Unknown action or issue with door ${doorID}.`);
+        },
+
+        applyActionToDoorObject(doorObject, action) {
+            let message = "";
+            const previousFlags = LightControl.hooks.getDoorFlags(doorObject);
+            if (["close", "lock", "set_secret_true"].includes(action) && this.isBroken(doorObject)) {
+                return `⚠️ ${doorObject.get('_type')} ${doorObject.id} is broken and can't be closed or locked.`;
+            }
+            switch (action) {
+                case "repair":
+                    LightControl.history.recordState("doorIntegrity", doorObject.id);
+                    delete LightControl.utils.getState().doorIntegrity[doorObject.id];
+                    message = `🔧 **${doorObject.get('_type')} Repaired:** ${doorObject.id}`;
+                    break;
+                case "close": LightControl.history.set(doorObject, { isOpen: false }); message = `🚪 **${doorObject.get('_type')} Closed:** ${doorObject.id}`; break;
+                case "open":
+                    LightControl.history.set(doorObject, { isOpen: true, isLocked: false });
+                    message = `🚪 **${doorObject.get('_type')} Opened and Unlocked:** ${doorObject.id}`;
+                    break;
+                case "lock": LightControl.history.set(doorObject, { isLocked: true }); message = `🔒 **${doorObject.get('_type')} Locked:** ${doorObject.id}`; break;
+                case "unlock": LightControl.history.set(doorObject, { isLocked: false }); message = `🔓 **${doorObject.get('_type')} Unlocked:** ${doorObject.id}`; break;
+                case "reveal":
+                    if (doorObject.get('_type') === 'door') {
+                        LightControl.history.set(doorObject, { isSecret: false }); message = `👁 **Secret Door Revealed:** ${doorObject.id}`;
+                    } else { message = `⚠️ Windows cannot be secret. No action for ${doorObject.id}.`; }
+                    break;
+                case "set_secret_true":
+                    if (doorObject.get('_type') === 'door') {
+                        LightControl.history.set(doorObject, { isSecret: true }); message = `🤫 **Door made Secret:** ${doorObject.id}`;
+                    } else { message = `⚠️ Windows cannot be secret. No action for ${doorObject.id}.`; }
+                    break;
+                default: message = `❌ Invalid action \`${action}\` for ${doorObject.get('_type')} ${doorObject.id}.`; break;
+            }
+            // API changes don't raise change:door events, so hooks are dispatched here as well
+            LightControl.hooks.handleDoorChange(doorObject, previousFlags);
+            return message;
+        },
+
+        // --- Keyed Locks and Lockpicking ---
+        // A door's `key` and `pickdc` metadata (see `!lc meta`) make unlocking it a check instead of a plain toggle.
+
+        /**
+         * True if running `actions` on this door must go through the key/lockpick check.
+         * `pick` always does; otherwise only non-GM callers opening or unlocking a locked door with a key or pick DC.
+         */
+        requiresKeyCheck(door, actions, playerid) {
+            if (actions.includes("pick")) return true;
+            if (playerid === "API" || LightControl.utils.isGM(playerid)) return false;
+            const meta = LightControl.meta.get(door.id);
+            return !!(meta.key || meta.pickdc) && door.get("isLocked") && actions.some(a => a === "unlock" || a === "open");
+        },
+
+        /**
+         * True if a non-GM caller asks to open or unlock a door with a key or pick DC, whether or not it is locked right now.
+         * Used for timed actions, which run later as the API and so can't be checked when they fire.
+         */
+        isKeyedForPlayer(door, actions, playerid) {
+            if (playerid === "API" || LightControl.utils.isGM(playerid)) return false;
+            const meta = LightControl.meta.get(door.id);
+            return !!(meta.key || meta.pickdc) && actions.some(a => a === "unlock" || a === "open");
+        },
+
+        async attemptKeyedUnlock(door, actions, playerid, token) {
+            const meta = LightControl.meta.get(door.id);
+            const whisper = (content) => LightControl.utils.whisperPlayer(playerid, content);
+            const isGM = playerid === "API" || LightControl.utils.isGM(playerid);
+
+            if (!token) {
+                whisper("❌ Select your token first, then try the door again.");
+                return;
+            }
+            if (!isGM && !LightControl.utils.playerControlsToken(playerid, token)) {
+                whisper("❌ You can only use a token you control.");
+                return;
+            }
+            const tokenName = LightControl.utils.getTokenName(token);
+            const pickButton = meta.pickdc ? ` [🗝️ Pick the lock](!door ${door.id} pick)` : "";
+
+            if (!door.get("isLocked")) {
+                whisper(`🔓 The ${door.get("_type")} isn't locked.`);
+            } else if (actions.includes("pick")) {
+                if (!meta.pickdc) {
+                    whisper(`❌ This lock can't be picked.`);
+                    return;
+                }
+                const bonus = await this.getAttributeBonus(token, LightControl.config.LOCKPICK_BONUS_ATTRIBUTES);
+                const roll = randomInteger(20);
+                const total = roll + bonus;
+                const rollText = `d20 (${roll}) ${bonus >= 0 ? "+" : "-"} ${Math.abs(bonus)} = <b>${total}</b>`;
+                if (total < meta.pickdc) {
+                    whisper(`🗝️ ${tokenName} fails to pick the lock: ${rollText}.`);
+                    if (!isGM) LightControl.utils.sendGmMessage(`🗝️ **${tokenName}** failed to pick ${door.get("_type")} ${door.id}: ${rollText} vs DC ${meta.pickdc}.`);
+                    return;
+                }
+                this.applyActionToDoorObject(door, "unlock");
+                whisper(`🗝️ ${tokenName} picks the lock: ${rollText}. *Click.*`);
+                if (!isGM) LightControl.utils.sendGmMessage(`🗝️ **${tokenName}** picked ${door.get("_type")} ${door.id}: ${rollText} vs DC ${meta.pickdc}.`);
+            } else if (meta.key && await this.tokenHasKey(token, meta.key)) {
+                this.applyActionToDoorObject(door, "unlock");
+                whisper(`🔑 ${tokenName} unlocks the ${door.get("_type")} with the <b>${meta.key}</b>.`);
+                LightControl.utils.logDoorOperation(`🔑 **${tokenName}** unlocked ${door.get("_type")} ${door.id} with the ${meta.key}.`);
+            } else {
+                whisper(`🔒 The ${door.get("_type")} is locked${meta.key ? " and you don't have the key" : ""}.${pickButton}`);
+                LightControl.utils.sendGmMessage(`🔐 **${tokenName}** tried to unlock ${door.get("_type")} ${door.id}` +
+                    (meta.key ? ` without the required key (${meta.key}).` : "."));
+                return;
+            }
+
+            // Lock is open now: run whatever else was asked for
+            actions.filter(a => a !== "unlock" && a !== "pick").forEach(action => {
+                LightControl.utils.logDoorOperation(this.applyActionToDoorObject(door, action));
+            });
+        },
+
+        /**
+         * Looks for a key (case-insensitive) in the token's GM notes, the attributes of the character
+         * it represents (by name or value), or an item of that name in a Beacon sheet's `store`.
+         */
+        async tokenHasKey(token, keyName) {
+            const needle = keyName.toLowerCase();
+            let notes = token.get("gmnotes") || "";
+            try { notes = decodeURIComponent(notes); } catch (e) { /* keep raw notes */ }
+            if (notes.toLowerCase().includes(needle)) return true;
+
+            const charId = token.get("represents");
+            if (!charId) return false;
+            const attributes = findObjs({ _type: "attribute", _characterid: charId });
+            if (attributes.some(a => String(a.get("name")).toLowerCase() === needle || String(a.get("current")).toLowerCase() === needle)) {
+                return true;
+            }
+
+            let store = null;
+            if (typeof getSheetItem === "function") {
+                try { store = await getSheetItem(charId, "store"); } catch (e) { store = null; }
+            }
+            if (!store) {
+                const storeAttr = attributes.find(a => a.get("name") === "store");
+                store = storeAttr ? storeAttr.get("current") : null;
+            }
+            if (typeof store === "string") {
+                try { store = JSON.parse(store); } catch (e) { return false; }
+            }
+
+            const containsItem = (obj) => {
+                if (!obj || typeof obj !== "object") return false;
+                if (Array.isArray(obj)) return obj.some(containsItem);
+                if (typeof obj.name === "string" && obj.name.toLowerCase() === needle && obj.type !== "Currency") return true;
+                return Object.values(obj).some(containsItem);
+            };
+            return containsItem(store);
+        },
+
+        /**
+         * The first of `attrNames` that holds a number on the token's character (0 if none does).
+         */
+        async getAttributeBonus(token, attrNames) {
+            const charId = token.get("represents");
+            if (!charId) return 0;
+            for (const attrName of attrNames) {
+                let value;
+                if (typeof getSheetItem === "function") {
+                    try { value = await getSheetItem(charId, attrName); } catch (e) { value = undefined; }
+                }
+                if (value === undefined || value === null || value === "") value = getAttrByName(charId, attrName);
+                const bonus = parseInt(value, 10);
+                if (!isNaN(bonus)) return bonus;
+            }
+            return 0;
+        },
+
+        // --- Breakable Doors ---
+        // Damage and broken doors are kept in state.LightControl.doorIntegrity as { doorID: { damage, broken } }.
+        // A broken door stays open and unlocked until the GM uses `repair`.
+
+        isBroken(door) {
+            const integrity = LightControl.utils.getState().doorIntegrity[door.id];
+            return !!(integrity && integrity.broken);
+        },
+
+        async attemptForce(door, playerid, token) {
+            const meta = LightControl.meta.get(door.id);
+            const whisper = (content) => LightControl.utils.whisperPlayer(playerid, content);
+            const isGM = playerid === "API" || LightControl.utils.isGM(playerid);
+            const doorType = door.get("_type");
+
+            if (!token) {
+                whisper("❌ Select your token first, then try the door again.");
+                return;
+            }
+            if (!isGM && !LightControl.utils.playerControlsToken(playerid, token)) {
+                whisper("❌ You can only use a token you control.");
+                return;
+            }
+            if (this.isBroken(door)) {
+                whisper(`💥 The ${doorType} is already broken.`);
+                return;
+            }
+            if (!meta.breakdc) {
+                whisper(`❌ This ${doorType} can't be forced.`);
+                return;
+            }
+
+            const tokenName = LightControl.utils.getTokenName(token);
+            const bonus = await this.getAttributeBonus(token, LightControl.config.FORCE_BONUS_ATTRIBUTES);
+            const roll = randomInteger(20);
+            const total = roll + bonus;
+            const rollText = `d20 (${roll}) ${bonus >= 0 ? "+" : "-"} ${Math.abs(bonus)} = <b>${total}</b>`;
+            if (total < meta.breakdc) {
+                whisper(`💪 ${tokenName} slams into the ${doorType}, but it holds: ${rollText}.`);
+                if (!isGM) LightControl.utils.sendGmMessage(`💪 **${tokenName}** failed to force ${doorType} ${door.id}: ${rollText} vs DC ${meta.breakdc}.`);
+                this.makeNoise(door, `💥 A heavy thud echoes from a ${doorType}.`);
+                return;
+            }
+            whisper(`💪 ${tokenName} forces the ${doorType}: ${rollText}.`);
+            this.breakDoor(door, `${tokenName} (force, ${rollText} vs DC ${meta.breakdc})`);
+        },
+
+        /**
+         * `!door <IDs> damage <amount> [--attack <total>]`: with `ac` metadata, an attack total is required and
+         * attacks below it miss; once total damage reaches `hp`, the door breaks. Players must select a token they control.
+         */
+        processDoorDamage(doorIDs, amountText, attackText, playerid, token) {
+            const whisper = (content) => LightControl.utils.whisperPlayer(playerid, content);
+            const isGM = playerid === "API" || LightControl.utils.isGM(playerid);
+            if (!isGM && !token) {
+                whisper("❌ Select your token first, then try the door again.");
+                return;
+            }
+            if (!isGM && !LightControl.utils.playerControlsToken(playerid, token)) {
+                whisper("❌ You can only use a token you control.");
+                return;
+            }
+            const amount = parseInt(amountText, 10);
+            const attack = attackText !== undefined ? parseInt(attackText, 10) : null;
+            if (isNaN(amount) || amount <= 0 || (attack !== null && isNaN(attack))) {
+                whisper("❌ Error: Use `!door <ID> damage <amount> [--attack <total>]` with a positive amount.");
+                return;
+            }
+            const source = token ? LightControl.utils.getTokenName(token) : (getObj("player", playerid)?.get("_displayname") || "Someone");
+            const integrityState = LightControl.utils.getState().doorIntegrity;
+
+            doorIDs.forEach(doorID => {
+                const door = getObj("door", doorID) || getObj("window", doorID);
+                if (!door) { whisper(`❌ Error: Door or Window ${doorID} not found.`); return; }
+                const meta = LightControl.meta.get(door.id);
+                const doorType = door.get("_type");
+                if (!meta.hp) { whisper(`❌ This ${doorType} can't be damaged.`); return; }
+                if (this.isBroken(door)) { whisper(`💥 The ${doorType} is already broken.`); return; }
+                if (meta.ac && attack === null) {
+                    whisper(`❌ This ${doorType} has an AC. Add your attack roll: \`!door ${door.id} damage ${amount} --attack <total>\`.`);
+                    return;
+                }
+                if (meta.ac && attack < meta.ac) {
+                    whisper(`🛡️ The blow glances off the ${doorType} (${attack} vs AC ${meta.ac}).`);
+                    return;
+                }
+
+                LightControl.history.recordState("doorIntegrity", door.id);
+                const integrity = integrityState[door.id] = integrityState[door.id] || { damage: 0, broken: false };
+                integrity.damage += amount;
+                if (integrity.damage >= meta.hp) {
+                    whisper(`💥 The ${doorType} breaks!`);
+                    this.breakDoor(door, `${source} (${integrity.damage}/${meta.hp} damage)`);
+                } else {
+                    whisper(`🪓 The ${doorType} takes ${amount} damage.`);
+                    LightControl.utils.sendGmMessage(`🪓 **${source}** dealt ${amount} damage to ${doorType} ${door.id} (${integrity.damage}/${meta.hp}).`);
+                    this.makeNoise(door, `🪓 Splintering blows ring out from a ${doorType}.`);
+                }
+            });
+        },
+
+        breakDoor(door, cause) {
+            const integrityState = LightControl.utils.getState().doorIntegrity;
+            LightControl.history.recordState("doorIntegrity", door.id);
+            integrityState[door.id] = Object.assign(integrityState[door.id] || { damage: 0 }, { broken: true });
+            this.applyActionToDoorObject(door, "open");
+            LightControl.utils.sendGmMessage(`💥 **${door.get("_type")} ${door.id} broken** by ${cause}. It stays open until \`!door ${door.id} repair\`.`);
+            this.makeNoise(door, `💥 With a splintering crash, a ${door.get("_type")} gives way!`);
+            LightControl.hooks.fire(door, "break");
+        },
+
+        /**
+         * Reports noise from a door according to config.DOOR_BREAK_NOISE.
+         */
+        makeNoise(door, description) {
+            const noise = LightControl.config.DOOR_BREAK_NOISE;
+            if (noise === "public") sendChat("LightControl", `/desc ${description}`);
+            else if (noise === "gm") LightControl.utils.sendGmMessage(`🔊 ${description} (${door.id})`);
+        },
+
+        /**
+         * Re-opens a broken door someone closed or locked by hand (change:door/change:window).
+         */
+        enforceBroken(door) {
+            if (this.isBroken(door) && (!door.get("isOpen") || door.get("isLocked"))) {
+                door.set({ isOpen: true, isLocked: false });
+            }
+        },
+
+        // --- Timed and Scheduled Actions ---
+        // Pending actions live in state.LightControl.doorSchedules as
+        // { scheduleId: { id, doorId, actions, runAt, every, revertActions, revertAfter, parentId } }
+        // so they can be re-armed after a sandbox restart. Timeout handles are kept in LightControl.state.
+
+        // Actions applyActionToDoorObject accepts; pick, force and damage need a token and can't be scheduled
+        SCHEDULABLE_DOOR_ACTIONS: ["open", "close", "lock", "unlock", "reveal", "set_secret_true", "repair"],
+
+        REVERSE_DOOR_ACTIONS: {
+            open: "close", close: "open", lock: "unlock", unlock: "lock",
+            reveal: "set_secret_true", set_secret_true: "reveal"
+        },
+
+        /**
+         * Handles `!door <IDs> <actions> --after <t>`, `--autoclose <t>`, `--for <t>` and `--every <t>`.
+         * --after delays the actions, --every repeats them, --for reverts them after a while
+         * (e.g. open → close) and --autoclose closes the door after a while.
+         */
+        processTimedDoorCommand(doorIDs, actions, flags) {
+            const invalid = actions.filter(action => !this.SCHEDULABLE_DOOR_ACTIONS.includes(action));
+            if (invalid.length > 0) {
+                LightControl.utils.sendGmMessage(`❌ Error: Can't schedule \`${invalid.join(";")}\`. Timed actions: ${this.SCHEDULABLE_DOOR_ACTIONS.join(", ")}.`);
+                return;
+            }
+            const parse = (flag) => {
+                if (flags[flag] === undefined) return 0;
+                return LightControl.utils.parseDuration(flags[flag]);
+            };
+            const delay = parse("after");
+            const every = parse("every");
+            const revertAfter = flags.autoclose !== undefined ? parse("autoclose") : parse("for");
+            if ([delay, every, revertAfter].some(ms => isNaN(ms) || ms < 0)) {
+                LightControl.utils.sendGmMessage("❌ Error: Invalid duration. Use values such as `30s`, `1.5m` or `500ms`.");
+                return;
+            }
+            if (every > 0 && every < LightControl.config.DOOR_SCHEDULE_MIN_INTERVAL_MS) {
+                LightControl.utils.sendGmMessage(`❌ Error: --every must be at least ${LightControl.config.DOOR_SCHEDULE_MIN_INTERVAL_MS / 1000}s.`);
+                return;
+            }
+            if (every > 0 && revertAfter >= every) {
+                LightControl.utils.sendGmMessage("❌ Error: The --for/--autoclose duration must be shorter than --every.");
+                return;
+            }
+
+            let revertActions = [];
+            if (flags.autoclose !== undefined) {
+                revertActions = ["close"];
+            } else if (revertAfter > 0) {
+                revertActions = actions.slice().reverse().map(a => this.REVERSE_DOOR_ACTIONS[a]).filter(Boolean);
+            }
+
+            const scheduled = [];
+            const missing = [];
+            doorIDs.forEach(doorID => {
+                const door = getObj("door", doorID) || getObj("window", doorID);
+                if (!door) { missing.push(doorID); return; }
+                scheduled.push(this.createSchedule({
+                    doorId: door.id, actions, runAt: Date.now() + delay, every,
+                    revertActions, revertAfter: revertActions.length > 0 ? revertAfter : 0
+                }));
+            });
+
+            if (scheduled.length > 0) {
+                LightControl.utils.logDoorOperation(`⏱️ Scheduled for ${scheduled.length} door(s): ${this.describeSchedule(scheduled[0])}`);
+            }
+            if (missing.length > 0) {
+                LightControl.utils.sendGmMessage(`❌ Some operations failed:<br>${missing.map(id => `Object ${id} not found.`).join('<br>')}`);
+            }
+        },
+
+        createSchedule(data) {
+            const lcState = LightControl.utils.getState();
+            const id = `ds${lcState.nextDoorScheduleId++}`;
+            const entry = Object.assign({ id, every: 0, revertActions: [], revertAfter: 0, parentId: null }, data);
+            lcState.doorSchedules[id] = entry;
+            this.armSchedule(entry);
+            return entry;
+        },
+
+        armSchedule(entry) {
+            const timeouts = LightControl.state.doorScheduleTimeouts;
+            if (timeouts[entry.id]) clearTimeout(timeouts[entry.id]);
+            timeouts[entry.id] = setTimeout(() => this.runSchedule(entry.id), Math.max(0, entry.runAt - Date.now()));
+        },
+
+        runSchedule(scheduleId) {
+            const schedules = LightControl.utils.getState().doorSchedules;
+            const entry = schedules[scheduleId];
+            delete LightControl.state.doorScheduleTimeouts[scheduleId];
+            if (!entry) return;
+
+            const door = getObj("door", entry.doorId) || getObj("window", entry.doorId);
+            if (!door) {
+                LightControl.utils.log(`Door ${entry.doorId} no longer exists. Dropping schedule ${scheduleId}.`, 'warning');
+                this.cancelSchedules(e => e.id === scheduleId || e.parentId === scheduleId);
+                return;
+            }
+
+            const feedback = LightControl.history.run(`Door schedule #${entry.id} (${entry.actions.join(";")})`, "API",
+                () => entry.actions.map(action => this.applyActionToDoorObject(door, action)));
+            LightControl.utils.logDoorOperation(`⏱️ ${feedback.join('<br>')}`);
+
+            if (entry.revertActions.length > 0 && entry.revertAfter > 0) {
+                this.createSchedule({
+                    doorId: entry.doorId, actions: entry.revertActions,
+                    runAt: Date.now() + entry.revertAfter, parentId: entry.parentId || entry.id
+                });
+            }
+
+            if (entry.every > 0) {
+                // Skip any cycles missed while the sandbox was down
+                const now = Date.now();
+                while (entry.runAt <= now) entry.runAt += entry.every;
+                this.armSchedule(entry);
+            } else {
+                delete schedules[scheduleId];
+            }
+        },
+
+        /**
+         * Removes (and disarms) every schedule matching `predicate`. Returns the number removed.
+         */
+        cancelSchedules(predicate) {
+            const schedules = LightControl.utils.getState().doorSchedules;
+            const timeouts = LightControl.state.doorScheduleTimeouts;
+            let removed = 0;
+            Object.values(schedules).filter(predicate).forEach(entry => {
+                if (timeouts[entry.id]) clearTimeout(timeouts[entry.id]);
+                delete timeouts[entry.id];
+                delete schedules[entry.id];
+                removed++;
+            });
+            return removed;
+        },
+
+        /**
+         * Re-arms every persisted schedule. Called once on ready; overdue entries run immediately.
+         */
+        restoreSchedules() {
+            const schedules = Object.values(LightControl.utils.getState().doorSchedules);
+            schedules.forEach(entry => this.armSchedule(entry));
+            if (schedules.length > 0) {
+                LightControl.utils.log(`Restored ${schedules.length} door schedule(s).`, 'info');
+            }
+        },
+
+        describeSchedule(entry) {
+            const seconds = ms => `${Math.round(ms / 100) / 10}s`;
+            let text = `\`${entry.actions.join('; ')}\` in ${seconds(Math.max(0, entry.runAt - Date.now()))}`;
+            if (entry.every > 0) text += `, every ${seconds(entry.every)}`;
+            if (entry.revertActions.length > 0 && entry.revertAfter > 0) text += `, then \`${entry.revertActions.join('; ')}\` after ${seconds(entry.revertAfter)}`;
+            return text;
+        },
+
+        /**
+         * `!door schedule list` and `!door schedule cancel <scheduleId|doorID|all>`.
+         */
+        processScheduleCommand(scheduleArgs) {
+            const sub = scheduleArgs[0] ? scheduleArgs[0].toLowerCase() : "list";
+            const schedules = LightControl.utils.getState().doorSchedules;
+
+            if (sub === "list") {
+                const entries = Object.values(schedules).sort((a, b) => a.runAt - b.runAt);
+                if (entries.length === 0) {
+                    LightControl.utils.sendGmMessage("⏱️ No door schedules are active.");
+                    return;
+                }
+                const rows = entries.map(entry => `• <b>${entry.id}</b> ${entry.doorId}: ${this.describeSchedule(entry)} [Cancel](!door schedule cancel ${entry.id})`);
+                LightControl.utils.sendGmMessage(`&{template:default} {{name=⏱️ Door Schedules}} {{Active=${rows.join("<br>")}<br>[Cancel All](!door schedule cancel all)}}`);
+                return;
+            }
+
+            if (sub === "cancel") {
+                const target = scheduleArgs[1];
+                if (!target) {
+                    LightControl.utils.sendGmMessage("❌ Error: Missing target. Use: `!door schedule cancel <scheduleId|doorID|all>`.");
+                    return;
+                }
+                const removed = target.toLowerCase() === "all"
+                    ? this.cancelSchedules(() => true)
+                    : this.cancelSchedules(e => e.id === target || e.parentId === target || e.doorId === target);
+                LightControl.utils.sendGmMessage(removed > 0 ? `⏹️ Cancelled ${removed} door schedule(s).` : `⚠️ No door schedules matched \`${target}\`.`);
+                return;
+            }
+
+            LightControl.utils.sendGmMessage("❌ Error: Unknown schedule command. Use: `!door schedule list` or `!door schedule cancel <scheduleId|doorID|all>`.");
+        },
+
+        processAllDoorsOnPage(action, pageid) {
+            if (!pageid) {
+                LightControl.utils.log("Error: No page ID provided for processAllDoorsOnPage.", 'error');
+                LightControl.utils.sendGmMessage("❌ Error: Could not determine current page for page-wide door operation.");
+                return;
+            }
+
+            let doorsAndWindows = findObjs({ _pageid: pageid, _type: "door" });
+            doorsAndWindows = doorsAndWindows.concat(findObjs({ _pageid: pageid, _type: "window" }));
+
+            if (doorsAndWindows.length === 0) {
+                LightControl.utils.sendGmMessage("🚪 No doors or windows found on the current page.");
+                return;
+            }
+
+            let changedCount = 0;
+            doorsAndWindows.forEach(obj => {
+                let processed = true;
+                let singleFeedback = this.applyActionToDoorObject(obj, action);
+                // Check if feedback indicates an actual change or just a warning/error for that object
+                if (singleFeedback.startsWith("❌") || singleFeedback.startsWith("⚠️")) {
+                    processed = false;
+                }
+                if (processed) changedCount++;
+            });
+
+            if (changedCount > 0) {
+                LightControl.utils.logDoorOperation(`🚪 Processed ${changedCount} door(s)/window(s) on the page. Action: ${action}.`);
+            } else {
+                LightControl.utils.logDoorOperation(`🚪 No doors/windows were affected by the action \`${action}\` on this page (possibly due to type mismatch for secret actions or invalid action).`);
+            }
+        },
+
+        processAreaDoorCommand(shape, dimensions, action, selectedTokens, selectedPaths, playerid) {
+            if (!LightControl.perms.check("door_area", playerid)) return;
+
+            const usesPath = shape === "polygon";
+            if (usesPath ? (!selectedPaths || selectedPaths.length === 0) : (!selectedTokens || selectedTokens.length === 0)) {
+                LightControl.utils.sendGmMessage(usesPath
+                    ? "❌ Error: No drawn path selected for the polygon area."
+                    : "❌ Error: No tokens selected for area door operation. Please select token(s) to center the area.");
+                return;
+            }
+
+            const pageid = usesPath ? selectedPaths[0].get("_pageid") : selectedTokens[0].get("_pageid");
+            const page = getObj("page", pageid);
+            
+            let centerX = 0, centerY = 0;
+            (selectedTokens || []).forEach(t => { centerX += t.get("left"); centerY += t.get("top"); });
+            if (selectedTokens && selectedTokens.length > 0) { centerX /= selectedTokens.length; centerY /= selectedTokens.length; }
+
+            const area = LightControl.areas.build(shape, dimensions, {
+                origin: { x: centerX, y: centerY },
+                grid: LightControl.areas.getGrid(page),
+                facing: selectedTokens && selectedTokens[0] ? selectedTokens[0].get("rotation") : 0,
+                paths: selectedPaths
+            });
+            if (area.error) {
+                LightControl.utils.sendGmMessage(`❌ Error: ${area.error}`);
+                return;
+            }
+
+            const allDoorsAndWindowsOnPage = findObjs({ _pageid: pageid, _type: "door" })
+                                        .concat(findObjs({ _pageid: pageid, _type: "window" }));
+            
+            const affectedObjects = allDoorsAndWindowsOnPage.filter(obj => area.contains(LightControl.utils.getObjectCenter(obj)));
+
             if (affectedObjects.length === 0) {
                 LightControl.utils.logDoorOperation(`🚪 No doors or windows found in the specified ${shape} area.`);
                 return;
             }
 
-            let changedCount = 0;
-            affectedObjects.forEach(obj => {
-                let singleFeedback = this.applyActionToDoorObject(obj, action);
-                if (!singleFeedback.startsWith("❌") && !singleFeedback.startsWith("⚠️")) {
-                    changedCount++;
+            let changedCount = 0;
+            affectedObjects.forEach(obj => {
+                let singleFeedback = this.applyActionToDoorObject(obj, action);
+                if (!singleFeedback.startsWith("❌") && !singleFeedback.startsWith("⚠️")) {
+                    changedCount++;
+                }
+            });
+
+            LightControl.utils.logDoorOperation(`🚪 Processed ${changedCount} of ${affectedObjects.length} door(s)/window(s) in the ${shape} area with action: ${action}.`);
+        }
+    },
+
+    // Area Shapes
+    // Shared geometry for `!door area` and `!lc toggledarkness`. Dimensions are in grid squares and
+    // shapes are anchored on the centre of the selected tokens; `polygon` uses a selected drawn path instead.
+    areas: {
+        SHAPES: ["square", "circle", "rect", "cone", "line", "polygon"],
+        COMPASS: { n: 0, ne: 45, e: 90, se: 135, s: 180, sw: 225, w: 270, nw: 315 },
+
+        /**
+         * Pixel size of one grid cell: 70px per unit of the page's cell width (`snapping_increment`).
+         * Gridless pages (snapping_increment 0) measure in cells of the default 70px.
+         */
+        getGridSize(page) {
+            return 70 * (parseFloat(page.get("snapping_increment")) || 1);
+        },
+
+        /**
+         * Grid layout of a page: `type` is "square", "hexv" (Hex (V): flat-topped hexes in vertical columns),
+         * "hexh" (Hex (H): pointy-topped hexes in horizontal rows) or "gridless"; `size` is the distance between
+         * neighbouring cell centres and `cellWidth`/`cellHeight` the spacing of columns and rows.
+         */
+        getGrid(page) {
+            const size = page ? this.getGridSize(page) : LightControl.config.DEFAULT_GRID_SIZE;
+            const gridType = page ? page.get("grid_type") : "square";
+            const type = page && page.get("snapping_increment") === 0 ? "gridless"
+                : gridType === "hex" ? "hexv" : gridType === "hexr" ? "hexh" : "square";
+            const offset = size * Math.sqrt(3) / 2;
+            return {
+                type, size,
+                cellWidth: type === "hexv" ? offset : size,
+                cellHeight: type === "hexh" ? offset : size
+            };
+        },
+
+        /**
+         * Distance from `a` to `b` in cells: hex steps on hex pages (with `a` as a hex centre), otherwise
+         * straight-line distance in squares (gridless pages measure in squares of the default size).
+         */
+        distance(grid, a, b) {
+            const dx = b.x - a.x, dy = b.y - a.y;
+            if (grid.type !== "hexv" && grid.type !== "hexh") return Math.hypot(dx, dy) / grid.size;
+
+            // Axial hex coordinates relative to `a`, rounded to the containing hex
+            const radius = grid.size / Math.sqrt(3);
+            const q = grid.type === "hexv" ? (2 / 3 * dx) / radius : (Math.sqrt(3) / 3 * dx - dy / 3) / radius;
+            const r = grid.type === "hexv" ? (-dx / 3 + Math.sqrt(3) / 3 * dy) / radius : (2 / 3 * dy) / radius;
+            let rq = Math.round(q), rr = Math.round(r), rs = Math.round(-q - r);
+            const dq = Math.abs(rq - q), dr = Math.abs(rr - r), ds = Math.abs(rs + q + r);
+            if (dq > dr && dq > ds) rq = -rr - rs;
+            else if (dr > ds) rr = -rq - rs;
+            return (Math.abs(rq) + Math.abs(rr) + Math.abs(rq + rr)) / 2;
+        },
+
+        /**
+         * Converts a distance in page units (feet, as light and vision ranges use) to pixels.
+         */
+        unitsToPixels(page, units) {
+            const scale = parseFloat(page.get("scale_number")) || 5;
+            const snapping = parseFloat(page.get("snapping_increment")) || 1;
+            return units / scale * 70 * snapping;
+        },
+
+        /**
+         * Distance between two points in cells of the page (hexes on hex pages).
+         */
+        distanceInCells(page, a, b) {
+            return this.distance(this.getGrid(page), a, b);
+        },
+
+        /**
+         * Directions are compass points or degrees clockwise from north (up).
+         */
+        parseDirection(text) {
+            if (text === undefined) return null;
+            const lower = String(text).toLowerCase();
+            if (this.COMPASS[lower] !== undefined) return this.COMPASS[lower];
+            const degrees = parseFloat(lower);
+            return isNaN(degrees) ? null : ((degrees % 360) + 360) % 360;
+        },
+
+        /**
+         * Builds an area from a shape name and its dimension arguments. `context` holds `origin` ({x, y}),
+         * `grid` (from getGrid), `facing` (degrees, used when a line has no direction) and `paths` (selected path objects).
+         * Dimensions are in cells: circles and cone lengths count hex steps on hex pages, and rects span
+         * columns and rows of hexes. Returns { contains(point), label } or { error }.
+         */
+        build(shape, dimensions, context) {
+            const nums = dimensions.map(d => parseFloat(d));
+            const { origin, grid } = context;
+            const positive = (n) => !isNaN(n) && n > 0;
+            const label = `${shape} ${dimensions.join(" ")}`.trim();
+
+            switch (shape) {
+                case "square":
+                case "rect": {
+                    const width = nums[0], height = shape === "square" ? nums[0] : nums[1];
+                    if (!positive(width) || !positive(height)) return { error: shape === "square" ? "Square needs a positive size." : "Rect needs a positive width and height." };
+                    const halfW = (width * grid.cellWidth) / 2, halfH = (height * grid.cellHeight) / 2;
+                    return { label, contains: (p) => Math.abs(p.x - origin.x) <= halfW && Math.abs(p.y - origin.y) <= halfH };
+                }
+                case "circle": {
+                    if (!positive(nums[0])) return { error: "Circle needs a positive radius." };
+                    const radius = nums[0];
+                    return { label, contains: (p) => this.distance(grid, origin, p) <= radius };
+                }
+                case "cone": {
+                    const direction = this.parseDirection(dimensions[1]);
+                    if (!positive(nums[0]) || direction === null) return { error: "Cone needs a positive length and a direction (degrees or n/ne/e/.../nw)." };
+                    const length = nums[0];
+                    const halfAngle = LightControl.config.AREA_CONE_ANGLE / 2;
+                    return {
+                        label, contains: (p) => {
+                            const dx = p.x - origin.x, dy = p.y - origin.y;
+                            if (dx === 0 && dy === 0) return true;
+                            if (this.distance(grid, origin, p) > length) return false;
+                            const bearing = Math.atan2(dx, -dy) * 180 / Math.PI;
+                            const offset = Math.abs(((bearing - direction) % 360 + 540) % 360 - 180);
+                            return offset <= halfAngle;
+                        }
+                    };
+                }
+                case "line": {
+                    const direction = dimensions[2] !== undefined ? this.parseDirection(dimensions[2]) : (parseFloat(context.facing) || 0);
+                    if (!positive(nums[0]) || !positive(nums[1]) || direction === null) return { error: "Line needs a positive length and width, and optionally a direction." };
+                    const length = nums[0] * grid.size, halfWidth = (nums[1] * grid.size) / 2;
+                    const rad = direction * Math.PI / 180;
+                    const ux = Math.sin(rad), uy = -Math.cos(rad);
+                    return {
+                        label, contains: (p) => {
+                            const dx = p.x - origin.x, dy = p.y - origin.y;
+                            const along = dx * ux + dy * uy;
+                            const across = Math.abs(dx * -uy + dy * ux);
+                            return along >= 0 && along <= length && across <= halfWidth;
+                        }
+                    };
+                }
+                case "polygon": {
+                    const polygons = (context.paths || []).map(path => this.getPathPolygon(path)).filter(poly => poly && poly.length >= 3);
+                    if (polygons.length === 0) return { error: "Polygon needs a selected drawn path (with at least three points)." };
+                    return { label, contains: (p) => polygons.some(poly => this.pointInPolygon(p, poly)) };
+                }
+                default:
+                    return { error: `Unknown shape \`${shape}\`. Supported shapes: ${this.SHAPES.join(", ")}.` };
+            }
+        },
+
+        /**
+         * Page-coordinate outline of a drawn path. Handles pathv2 (polylines, freehand, rectangles, ellipses)
+         * and legacy paths, whose `path` segments are scaled and rotated around left/top.
+         */
+        getPathPolygon(path) {
+            if (path.get("_type") === "pathv2") {
+                const shape = path.get("shape");
+                if (shape !== "rec" && shape !== "eli") return LightControl.wall.getWallWorldPoints(path);
+                let points;
+                try { points = JSON.parse(path.get("points") || "[]"); } catch (e) { return null; }
+                if (!Array.isArray(points) || points.length < 2) return null;
+                const xs = points.map(p => p[0]), ys = points.map(p => p[1]);
+                const halfW = (Math.max(...xs) - Math.min(...xs)) / 2, halfH = (Math.max(...ys) - Math.min(...ys)) / 2;
+                const outline = shape === "rec"
+                    ? [[-halfW, -halfH], [halfW, -halfH], [halfW, halfH], [-halfW, halfH]]
+                    : Array.from({ length: 24 }, (_, i) => [halfW * Math.cos(i * Math.PI / 12), halfH * Math.sin(i * Math.PI / 12)]);
+                return this.toPageCoordinates(outline, LightControl.utils.getObjectCenter(path), parseFloat(path.get("rotation")) || 0);
+            }
+
+            let segments;
+            try { segments = JSON.parse(path.get("path") || "[]"); } catch (e) { return null; }
+            if (!Array.isArray(segments)) return null;
+            // Each segment ends with its end point (["M", x, y], ["L", x, y], ["Q", cx, cy, x, y]...)
+            const points = segments.filter(seg => Array.isArray(seg) && seg.length >= 3).map(seg => [seg[seg.length - 2], seg[seg.length - 1]]);
+            if (points.length === 0) return null;
+            const xs = points.map(p => p[0]), ys = points.map(p => p[1]);
+            const localCenterX = (Math.min(...xs) + Math.max(...xs)) / 2, localCenterY = (Math.min(...ys) + Math.max(...ys)) / 2;
+            const scaleX = parseFloat(path.get("scaleX")) || 1, scaleY = parseFloat(path.get("scaleY")) || 1;
+            const outline = points.map(p => [(p[0] - localCenterX) * scaleX, (p[1] - localCenterY) * scaleY]);
+            return this.toPageCoordinates(outline, { x: path.get("left"), y: path.get("top") }, parseFloat(path.get("rotation")) || 0);
+        },
+
+        toPageCoordinates(offsets, center, rotation) {
+            return offsets.map(([x, y]) => {
+                const rotated = LightControl.utils.rotatePoint({ x, y }, { x: 0, y: 0 }, rotation);
+                return [center.x + rotated.x, center.y + rotated.y];
+            });
+        },
+
+        pointInPolygon(point, polygon) {
+            let inside = false;
+            for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+                const [xi, yi] = polygon[i], [xj, yj] = polygon[j];
+                if ((yi > point.y) !== (yj > point.y) && point.x < (xj - xi) * (point.y - yi) / (yj - yi) + xi) inside = !inside;
+            }
+            return inside;
+        }
+    },
+
+    // Door Event Hooks
+    // Macros, API commands or chat messages run when a door/window is opened, closed, locked, unlocked or revealed.
+    // Stored in state.LightControl.doorHooks as { doorID: [{ id, event, type, content, usesLeft }] }.
+    hooks: {
+        EVENTS: ["open", "close", "lock", "unlock", "reveal", "break"],
+        TYPES: ["macro", "api", "chat"],
+
+        getDoorFlags(door) {
+            return { isOpen: !!door.get("isOpen"), isLocked: !!door.get("isLocked"), isSecret: !!door.get("isSecret") };
+        },
+
+        /**
+         * Compares a door's current open/locked/secret flags with `prev` and fires hooks for each transition.
+         * The change:door/change:window listeners pass the event's previous values; LightControl's own door actions
+         * (which raise no change events) pass the flags from just before they changed the door.
+         */
+        handleDoorChange(door, prev) {
+            const current = this.getDoorFlags(door);
+            const events = [];
+            if (current.isOpen && !prev.isOpen) events.push("open");
+            if (!current.isOpen && prev.isOpen) events.push("close");
+            if (current.isLocked && !prev.isLocked) events.push("lock");
+            if (!current.isLocked && prev.isLocked) events.push("unlock");
+            if (!current.isSecret && prev.isSecret) events.push("reveal");
+            events.forEach(event => this.fire(door, event));
+        },
+
+        fire(door, event) {
+            const allHooks = LightControl.utils.getState().doorHooks;
+            const doorHooks = (allHooks[door.id] || []).filter(hook => hook.event === event);
+            if (doorHooks.length === 0) return;
+
+            const nearest = this.findNearestToken(door);
+            doorHooks.forEach(hook => {
+                this.runHook(hook, door, event, nearest);
+                if (hook.usesLeft !== null) {
+                    hook.usesLeft--;
+                    if (hook.usesLeft <= 0) {
+                        allHooks[door.id] = allHooks[door.id].filter(h => h.id !== hook.id);
+                        LightControl.utils.log(`Door hook ${hook.id} on ${door.id} used up and removed.`, 'info');
+                    }
+                }
+            });
+            if (allHooks[door.id] && allHooks[door.id].length === 0) delete allHooks[door.id];
+        },
+
+        /**
+         * Nearest token on the objects layer that represents a character (falls back to any token).
+         */
+        findNearestToken(door) {
+            const center = LightControl.utils.getObjectCenter(door);
+            const tokens = findObjs({ _pageid: door.get("_pageid"), _type: "graphic", _subtype: "token", layer: "objects" });
+            const candidates = tokens.filter(t => t.get("represents"));
+            let best = null, bestDistance = Infinity;
+            (candidates.length > 0 ? candidates : tokens).forEach(token => {
+                const distance = Math.hypot(token.get("left") - center.x, token.get("top") - center.y);
+                if (distance < bestDistance) { best = token; bestDistance = distance; }
+            });
+            return best;
+        },
+
+        runHook(hook, door, event, token) {
+            const fill = (text) => text
+                .replace(/\{token\}/g, token ? token.id : "")
+                .replace(/\{token_name\}/g, token ? LightControl.utils.getTokenName(token) : "")
+                .replace(/\{door\}/g, door.id)
+                .replace(/\{event\}/g, event);
+
+            if (hook.type === "macro") {
+                const macro = findObjs({ _type: "macro", name: hook.content })[0];
+                if (!macro) {
+                    LightControl.utils.sendGmMessage(`❌ Door hook ${hook.id}: macro \`${hook.content}\` not found.`);
+                    return;
+                }
+                fill(macro.get("action") || "").split("\n").filter(line => line.trim()).forEach(line => sendChat("LightControl", line));
+            } else {
+                sendChat("LightControl", fill(hook.content));
+            }
+            LightControl.utils.logDoorOperation(`🪝 Door hook ${hook.id} (${event}) ran for ${door.get("_type")} ${door.id}.`);
+        },
+
+        /**
+         * `!door hook add <ID> <event> <macro|api|chat> [--once|--uses N] <content...>`,
+         * `!door hook list [ID]` and `!door hook remove <ID> <hookId|all>`.
+         */
+        processHookCommand(hookArgs, playerid) {
+            if (!LightControl.perms.check("door_admin", playerid)) return;
+            const lcState = LightControl.utils.getState();
+            const sub = hookArgs[0] ? hookArgs[0].toLowerCase() : "list";
+            const doorId = hookArgs[1];
+
+            if (sub === "list") {
+                const doorIds = doorId ? [doorId] : Object.keys(lcState.doorHooks);
+                const rows = [];
+                doorIds.forEach(id => (lcState.doorHooks[id] || []).forEach(hook => {
+                    const uses = hook.usesLeft === null ? "∞" : `${hook.usesLeft} left`;
+                    rows.push(`• <b>${hook.id}</b> ${id} on <i>${hook.event}</i>: ${hook.type} \`${hook.content}\` (${uses}) [Remove](!door hook remove ${id} ${hook.id})`);
+                }));
+                LightControl.utils.sendGmMessage(rows.length > 0
+                    ? `&{template:default} {{name=🪝 Door Hooks}} {{Hooks=${rows.join("<br>")}}}`
+                    : "🪝 No door hooks defined.");
+                return;
+            }
+
+            if (sub === "add") {
+                const event = hookArgs[2] ? hookArgs[2].toLowerCase() : null;
+                const type = hookArgs[3] ? hookArgs[3].toLowerCase() : null;
+                const usage = "Use: `!door hook add <ID> <open|close|lock|unlock|reveal> <macro|api|chat> [--once|--uses N] <content>`.";
+                if (!doorId || !(getObj("door", doorId) || getObj("window", doorId))) { LightControl.utils.sendGmMessage(`❌ Error: Door or window \`${doorId || ""}\` not found. ${usage}`); return; }
+                if (!this.EVENTS.includes(event)) { LightControl.utils.sendGmMessage(`❌ Error: Unknown event \`${event || ""}\`. ${usage}`); return; }
+                if (!this.TYPES.includes(type)) { LightControl.utils.sendGmMessage(`❌ Error: Unknown hook type \`${type || ""}\`. ${usage}`); return; }
+
+                // Options come before the content so that content may itself contain --flags (e.g. TokenMod)
+                let rest = hookArgs.slice(4);
+                let usesLeft = null;
+                while (rest[0] === "--once" || rest[0] === "--uses") {
+                    if (rest[0] === "--once") { usesLeft = 1; rest = rest.slice(1); continue; }
+                    usesLeft = parseInt(rest[1], 10);
+                    if (isNaN(usesLeft) || usesLeft < 1) { LightControl.utils.sendGmMessage("❌ Error: --uses needs a positive whole number."); return; }
+                    rest = rest.slice(2);
+                }
+                const content = type === "macro" ? rest.join(" ").trim().replace(/^#/, "") : rest.join(" ").trim();
+                if (!content) { LightControl.utils.sendGmMessage(`❌ Error: Missing hook content. ${usage}`); return; }
+
+                const hook = { id: `h${lcState.nextDoorHookId++}`, event, type, content, usesLeft };
+                lcState.doorHooks[doorId] = lcState.doorHooks[doorId] || [];
+                lcState.doorHooks[doorId].push(hook);
+                LightControl.utils.sendGmMessage(`🪝 Added hook **${hook.id}** to ${doorId}: on ${event} run ${type} \`${content}\`.`);
+                return;
+            }
+
+            if (sub === "remove") {
+                const hookId = hookArgs[2];
+                if (!doorId || !lcState.doorHooks[doorId] || !hookId) {
+                    LightControl.utils.sendGmMessage("❌ Error: Use: `!door hook remove <ID> <hookId|all>`.");
+                    return;
+                }
+                const before = lcState.doorHooks[doorId].length;
+                lcState.doorHooks[doorId] = hookId.toLowerCase() === "all" ? [] : lcState.doorHooks[doorId].filter(h => h.id !== hookId);
+                const removed = before - lcState.doorHooks[doorId].length;
+                if (lcState.doorHooks[doorId].length === 0) delete lcState.doorHooks[doorId];
+                LightControl.utils.sendGmMessage(`🪝 Removed ${removed} hook(s) from ${doorId}.`);
+                return;
+            }
+
+            LightControl.utils.sendGmMessage("❌ Error: Unknown hook command. Use `!door hook add|list|remove`.");
+        }
+    },
+
+    // Area Darkness Command (now ToggleDarkness)
+    areaDarkness: {
+        LIGHT_PROPERTIES_TO_SAVE: [
+            "light_radius", "light_dimradius", "light_otherplayers", "light_hassight",
+            "light_angle", "light_losangle", "light_multiplier", "light_color",
+            // Updated Dynamic Lighting
+            "emits_bright_light", "emits_low_light", "bright_light_distance", "low_light_distance"
+        ],
+        // Property values that switch a token's light off, for both legacy and Updated Dynamic Lighting
+        LIGHTS_OFF: { light_radius: 0, light_dimradius: 0, emits_bright_light: false, emits_low_light: false },
+        OUTPUT_MODES: ["native", "tokenmod", "both"],
+
+        parseToggleArgs(args) {
+            let shape, dimensions = [], switchId = null, mode = null;
+            let i = 0;
+            if (args[i]) {
+                shape = args[i].toLowerCase();
+                i++;
+            }
+
+            // Consume dimension args until the first --option or end
+            while(args[i] && !args[i].startsWith("--")) {
+                dimensions.push(args[i]);
+                i++;
+            }
+
+            // Options (--ids is read separately from the full command)
+            for (; i < args.length; i++) {
+                if (args[i] === "--id" && args[i+1]) {
+                    switchId = args[++i];
+                } else if (args[i] === "--mode" && args[i+1]) {
+                    mode = args[++i].toLowerCase();
+                }
+            }
+            return { shape, dimensions, switchId, mode };
+        },
+
+        emitsLight(token) {
+            return token.get("light_radius") > 0 || token.get("light_dimradius") > 0 ||
+                token.get("emits_bright_light") === true || token.get("emits_low_light") === true;
+        },
+
+        /**
+         * Writes saved light properties straight back onto a token (native mode).
+         */
+        restoreLightNative(token, tokenState) {
+            const changes = {};
+            this.LIGHT_PROPERTIES_TO_SAVE.forEach(prop => {
+                if (tokenState[prop] !== undefined && tokenState[prop] !== null) {
+                    changes[prop] = tokenState[prop];
+                }
+            });
+            if (changes.light_color === undefined) changes.light_color = "transparent";
+            LightControl.history.set(token, changes);
+        },
+
+        processToggleDarknessCommand(fullArgs, selectedTokens, playerid, selectedPaths = []) {
+            if (!LightControl.perms.check("toggledarkness", playerid)) return;
+
+            if ((!selectedTokens || selectedTokens.length === 0) && selectedPaths.length === 0 && !fullArgs.includes("--ids")) {
+                LightControl.utils.sendGmMessage("❌ Error: No tokens selected. Please select token(s) to center the area, or a drawn path for a polygon.");
+                return;
+            }
+            
+            // Initialize state if it doesn't exist
+            LightControl.utils.getState();
+
+            const { shape, dimensions, switchId, mode: requestedMode } = this.parseToggleArgs(fullArgs.slice(1)); // fullArgs[0] is 'toggledarkness'
+
+            if (!shape || (dimensions.length === 0 && shape !== "polygon")) {
+                LightControl.utils.sendGmMessage("❌ Error: Missing shape or dimensions. Use `!lc toggledarkness <shape> [dims...] [--id id] [--mode native|tokenmod|both]`. Try `!lc help`.");
+                return;
+            }
+
+            const mode = requestedMode || LightControl.config.TOGGLE_DARKNESS_MODE;
+            if (!this.OUTPUT_MODES.includes(mode)) {
+                LightControl.utils.sendGmMessage(`❌ Error: Unknown mode \`${mode}\`. Use ${this.OUTPUT_MODES.join(", ")}.`);
+                return;
+            }
+            const applyNative = mode !== "tokenmod";
+            const showTokenMod = mode !== "native";
+            
+            // --- Determine Center Point ---
+            let centerX, centerY, pageid, facing = 0;
+            const idsMatch = fullArgs.join(' ').match(/--ids\s+([-\w\s,]+)/);
+            
+            if (idsMatch && idsMatch[1]) {
+                const ids = idsMatch[1].split(/[,\s]+/).filter(Boolean);
+                const centerTokens = ids.map(id => getObj("graphic", id)).filter(Boolean);
+                if (centerTokens.length === 0) {
+                    LightControl.utils.sendGmMessage("❌ Error: No valid tokens found for the provided --ids.");
+                    return;
+                }
+                centerX = centerTokens.reduce((sum, t) => sum + t.get("left"), 0) / centerTokens.length;
+                centerY = centerTokens.reduce((sum, t) => sum + t.get("top"), 0) / centerTokens.length;
+                pageid = centerTokens[0].get("_pageid");
+                facing = centerTokens[0].get("rotation");
+            } else if (selectedTokens && selectedTokens.length > 0) {
+                centerX = selectedTokens.reduce((sum, t) => sum + t.get("left"), 0) / selectedTokens.length;
+                centerY = selectedTokens.reduce((sum, t) => sum + t.get("top"), 0) / selectedTokens.length;
+                pageid = selectedTokens[0].get("_pageid");
+                facing = selectedTokens[0].get("rotation");
+            } else if (shape === "polygon" && selectedPaths.length > 0) {
+                pageid = selectedPaths[0].get("_pageid");
+            } else {
+                LightControl.utils.sendGmMessage("❌ Error: No tokens selected or specified via --ids. Please select token(s) to center the area.");
+                return;
+            }
+            // --- End Center Point Logic ---
+
+            const stateKey = `${pageid}_${switchId || "_default_toggle"}`;
+            const page = getObj("page", pageid);
+
+            // Check if we are restoring lights
+            if (state.LightControl.toggledLightStates[stateKey]) {
+                LightControl.history.recordState("toggledLightStates", stateKey);
+                const savedStates = state.LightControl.toggledLightStates[stateKey];
+                let restoreCommandParts = [];
+                let restoredCount = 0;
+                Object.keys(savedStates).forEach(tokenId => {
+                    const tokenState = savedStates[tokenId];
+                    if (applyNative) {
+                        const token = getObj("graphic", tokenId);
+                        if (token) {
+                            this.restoreLightNative(token, tokenState);
+                            restoredCount++;
+                        }
+                    }
+                    let tokenSetParts = [];
+                    this.LIGHT_PROPERTIES_TO_SAVE.forEach(prop => {
+                        // Ensure undefined or null are handled, perhaps by not setting if not in saved state or using a default for TokenMod if necessary
+                        if (tokenState[prop] !== undefined && tokenState[prop] !== null) {
+                             // TokenMod expects true/false for booleans, not strings "true"/"false"
+                            let value = tokenState[prop];
+                            if (typeof value === 'boolean') {
+                                tokenSetParts.push(`${prop}|${value}`);
+                            } else {
+                                tokenSetParts.push(`${prop}|'${value}'`); // Enclose string values in single quotes for TokenMod robustness
+                            }
+                        } else if (prop === 'light_color' && (tokenState[prop] === undefined || tokenState[prop] === null)) {
+                            tokenSetParts.push(`${prop}|transparent`); // Default color to transparent if not set
+                        }
+                    });
+                    if (tokenSetParts.length > 0) {
+                        restoreCommandParts.push(`--ids ${tokenId} --set ${tokenSetParts.join(" ")}`);
+                    }
+                });
+
+                if (applyNative) {
+                    LightControl.utils.sendGmMessage(`💡 Restored lights on ${restoredCount} token(s) for switch: ${switchId || "default"}.`);
+                    delete state.LightControl.toggledLightStates[stateKey]; // Clear the state after restoring
+                }
+                if (showTokenMod && restoreCommandParts.length > 0) {
+                    const fullRestoreCommand = `!token-mod ${restoreCommandParts.join(" ")}`;
+                    LightControl.utils.sendGmMessage("**Generated TokenMod Command (click to restore lights):**<br>" +
+                        `<a href=\"` + fullRestoreCommand.replace(/"/g, "&quot;").replace(/'/g, "&apos;") + `\">💡 Restore Lights</a>` +
+                        `<br><br><i>Lights restored for switch: ${switchId || "default"}</i>`);
+                    delete state.LightControl.toggledLightStates[stateKey]; // Clear the state after restoring
+                } else if (!applyNative) {
+                    // Nothing TokenMod could set: clear the switch anyway so the next toggle turns lights off again
+                    delete state.LightControl.toggledLightStates[stateKey];
+                    LightControl.utils.sendGmMessage(`💡 Saved lights for switch ${switchId || "default"} (${Object.keys(savedStates).length} token(s)) hold no properties TokenMod can set. The switch has been cleared.`);
+                }
+                return;
+            }
+
+            // Proceed to turn lights OFF and save state
+            let tokensToAffectAndSave = {};
+            const allTokensOnPage = findObjs({ _pageid: pageid, _type: "graphic", _subtype: "token" });
+
+            const area = LightControl.areas.build(shape, dimensions, {
+                origin: { x: centerX, y: centerY },
+                grid: LightControl.areas.getGrid(page),
+                facing,
+                paths: selectedPaths
+            });
+            if (area.error) {
+                LightControl.utils.sendGmMessage(`❌ ${area.error}`);
+                return;
+            }
+            allTokensOnPage.forEach(token => {
+                if (area.contains(LightControl.utils.getObjectCenter(token)) && this.emitsLight(token)) {
+                    tokensToAffectAndSave[token.id] = LightControl.lightEffects.captureLight(token);
+                }
+            });
+
+            const tokenIdsToTurnOff = Object.keys(tokensToAffectAndSave);
+            if (tokenIdsToTurnOff.length > 0) {
+                LightControl.history.recordState("toggledLightStates", stateKey);
+                state.LightControl.toggledLightStates[stateKey] = tokensToAffectAndSave;
+                const rerunHint = `<i>Run <code>!lc toggledarkness ${shape} ${dimensions.join(" ")} ${switchId ? "--id " + switchId : ""}</code> again to restore.</i>`;
+                if (applyNative) {
+                    tokenIdsToTurnOff.forEach(tokenId => {
+                        const token = getObj("graphic", tokenId);
+                        if (!token) return;
+                        LightControl.lightEffects.stopEffect(token.id, false);
+                        LightControl.history.set(token, this.LIGHTS_OFF);
+                    });
+                    LightControl.utils.sendGmMessage(`🌑 Turned off lights on ${tokenIdsToTurnOff.length} token(s).<br>${rerunHint}`);
+                }
+                if (showTokenMod) {
+                    const turnOffCommand = `!token-mod --ids ${tokenIdsToTurnOff.join(",")} --set light_radius|0 light_dimradius|0 emits_bright_light|false emits_low_light|false`;
+                    LightControl.utils.sendGmMessage("**Generated TokenMod Command (click to turn off lights):**<br>" +
+                        `<a href=\"` + turnOffCommand.replace(/"/g, "&quot;") + `\">🌑 Turn Off Lights (${tokenIdsToTurnOff.length} Token(s))</a>` +
+                        `<br><br>${rerunHint}`);
+                }
+            } else {
+                LightControl.utils.sendGmMessage("💡 No tokens emitting light found in the specified area to turn off.");
+            }
+        }
+    },
+
+    // Page Lighting Scenes
+    // Whole-page lighting setups stored in state.LightControl.lightingScenes as
+    // { name: { pageid, savedAt, page: { prop: value }, tokens: { tokenID: { prop: value } } } }.
+    scenes: {
+        PAGE_LIGHTING_PROPERTIES: [
+            "dynamic_lighting_enabled", "daylight_mode_enabled", "daylightModeOpacity", "explorer_mode",
+            "fog_opacity", "lightupdatedrop", "showlighting", "lightenforcelos", "lightglobalillum",
+            "adv_fow_enabled", "adv_fow_dim_reveals"
+        ],
+
+        processSceneCommand(sceneArgs, playerid) {
+            if (!LightControl.perms.check("scene", playerid)) return;
+            const { positional, flags } = LightControl.utils.parseFlags(sceneArgs);
+            const scenes = LightControl.utils.getState().lightingScenes;
+            const sub = positional[0] ? positional[0].toLowerCase() : "list";
+            const name = positional[1] ? positional[1].toLowerCase() : null;
+
+            if (sub === "list") {
+                const names = Object.keys(scenes).sort();
+                if (names.length === 0) {
+                    LightControl.utils.sendGmMessage("🎬 No lighting scenes saved. Use `!lc scene save <name>`.");
+                    return;
+                }
+                const rows = names.map(n => {
+                    const page = getObj("page", scenes[n].pageid);
+                    return `• <b>${n}</b> (${page ? page.get("name") : scenes[n].pageid}, ${Object.keys(scenes[n].tokens).length} light(s)) [Load](!lc scene load ${n})`;
+                });
+                LightControl.utils.sendGmMessage(`&{template:default} {{name=🎬 Lighting Scenes}} {{Scenes=${rows.join("<br>")}}}`);
+                return;
+            }
+            if (!name) {
+                LightControl.utils.sendGmMessage(`❌ Error: Missing scene name. Use: \`!lc scene ${sub} <name>\`.`);
+                return;
+            }
+
+            switch (sub) {
+                case "save": {
+                    const page = LightControl.utils.resolvePage(flags.page);
+                    if (!page) { LightControl.utils.sendGmMessage(`❌ Error: Page \`${flags.page}\` not found.`); return; }
+                    scenes[name] = this.captureScene(page);
+                    LightControl.utils.sendGmMessage(`🎬 Saved lighting scene **${name}** for ${page.get("name")} (${Object.keys(scenes[name].tokens).length} light source(s)).`);
+                    break;
+                }
+                case "load": {
+                    const scene = scenes[name];
+                    if (!scene) { LightControl.utils.sendGmMessage(`❌ Error: Unknown lighting scene \`${name}\`.`); return; }
+                    const page = getObj("page", scene.pageid);
+                    if (!page) { LightControl.utils.sendGmMessage(`❌ Error: The page for scene \`${name}\` no longer exists.`); return; }
+                    const result = this.applyScene(page, scene);
+                    LightControl.utils.sendGmMessage(`🎬 Loaded lighting scene **${name}**: ${result.restored} light(s) restored, ${result.darkened} turned off` +
+                        (result.missing > 0 ? `, ${result.missing} token(s) no longer exist.` : "."));
+                    break;
+                }
+                case "delete":
+                    if (!scenes[name]) { LightControl.utils.sendGmMessage(`❌ Error: Unknown lighting scene \`${name}\`.`); return; }
+                    delete scenes[name];
+                    LightControl.utils.sendGmMessage(`🗑️ Lighting scene **${name}** deleted.`);
+                    break;
+                default:
+                    LightControl.utils.sendGmMessage("❌ Error: Unknown scene command. Use: `!lc scene save|load|delete <name>` or `!lc scene list`.");
+            }
+        },
+
+        captureScene(page) {
+            const pageProps = {};
+            this.PAGE_LIGHTING_PROPERTIES.forEach(prop => {
+                const value = page.get(prop);
+                if (value !== undefined) pageProps[prop] = value;
+            });
+            const tokens = {};
+            findObjs({ _pageid: page.id, _type: "graphic", _subtype: "token" })
+                .filter(token => LightControl.areaDarkness.emitsLight(token))
+                .forEach(token => tokens[token.id] = LightControl.lightEffects.captureLight(token));
+            return { pageid: page.id, savedAt: Date.now(), page: pageProps, tokens };
+        },
+
+        /**
+         * Applies a saved scene: page settings, saved token lights, and lights off for any other
+         * token on the page that emits light now but didn't when the scene was saved.
+         */
+        applyScene(page, scene) {
+            page.set(scene.page);
+            const result = { restored: 0, darkened: 0, missing: 0 };
+            Object.keys(scene.tokens).forEach(tokenId => {
+                const token = getObj("graphic", tokenId);
+                if (!token) { result.missing++; return; }
+                LightControl.lightEffects.stopEffect(token.id, false);
+                LightControl.areaDarkness.restoreLightNative(token, scene.tokens[tokenId]);
+                result.restored++;
+            });
+            findObjs({ _pageid: page.id, _type: "graphic", _subtype: "token" })
+                .filter(token => !scene.tokens[token.id] && LightControl.areaDarkness.emitsLight(token))
+                .forEach(token => {
+                    LightControl.lightEffects.stopEffect(token.id, false);
+                    LightControl.history.set(token, LightControl.areaDarkness.LIGHTS_OFF);
+                    result.darkened++;
+                });
+            return result;
+        }
+    },
+
+    // Page Export/Import
+    // Copies a page's LightControl setup between campaigns through a handout whose GM notes hold JSON:
+    // { type: "lightcontrol_page", version, page, walls: [...], doors: [...], meta, groups, lightSwitches }.
+    // On import walls and doors are re-linked when the same object (by ID) or one at the same place already
+    // exists on the target page, and created otherwise.
+    pageTransfer: {
+        FORMAT_VERSION: 1,
+        WALL_PROPERTIES: ["shape", "points", "x", "y", "rotation", "layer", "stroke", "stroke_width", "fill", "barrierType", "oneWayReversed"],
+        DOOR_PROPERTIES: ["x", "y", "path", "isOpen", "isLocked", "isSecret", "color"],
+
+        /**
+         * `!lc export [page] [--handout name]`.
+         */
+        processExportCommand(exportArgs, playerid) {
+            if (!LightControl.perms.check("transfer", playerid)) return;
+            const { positional, flags } = LightControl.utils.parseFlags(exportArgs);
+            const pageSpec = positional.join(" ");
+            const page = LightControl.utils.resolvePage(pageSpec);
+            if (!page) {
+                LightControl.utils.sendGmMessage(`❌ Error: Page \`${pageSpec}\` not found.`);
+                return;
+            }
+
+            const data = this.capturePage(page);
+            const handoutName = typeof flags.handout === "string" ? flags.handout : `${LightControl.config.EXPORT_HANDOUT_PREFIX}${page.get("name")}`;
+            let handout = findObjs({ _type: "handout", name: handoutName })[0];
+            if (!handout) handout = createObj("handout", { name: handoutName, inplayerjournals: "", archived: false });
+            handout.set("gmnotes", JSON.stringify(data, null, 2));
+
+            LightControl.utils.sendGmMessage(`📦 Exported **${page.get("name")}** to handout **${handoutName}**: ${data.walls.length} wall(s), ${data.doors.length} door(s)/window(s), ` +
+                `${Object.keys(data.meta).length} metadata record(s), ${Object.keys(data.lightSwitches).length} light switch(es).<br>` +
+                `Import elsewhere with <code>!lc import ${handoutName} --page &lt;name&gt;</code>.`);
+        },
+
+        capturePage(page) {
+            const lcState = LightControl.utils.getState();
+            const pick = (obj, props) => {
+                const values = {};
+                props.forEach(prop => { if (obj.get(prop) !== undefined) values[prop] = obj.get(prop); });
+                return values;
+            };
+
+            const walls = LightControl.selectors.candidates("wall", page.id).map(wall => Object.assign({ id: wall.id }, pick(wall, this.WALL_PROPERTIES)));
+            const doors = LightControl.selectors.candidates("door", page.id).map(door => {
+                const entry = Object.assign({ id: door.id, type: door.get("_type") }, pick(door, this.DOOR_PROPERTIES));
+                if (typeof entry.path === "string") {
+                    try { entry.path = JSON.parse(entry.path); } catch (e) { /* Keep the raw string */ }
+                }
+                return entry;
+            });
+
+            const exportedIds = walls.map(w => w.id).concat(doors.map(d => d.id));
+            const meta = {};
+            exportedIds.forEach(id => { if (lcState.objectMeta[id]) meta[id] = lcState.objectMeta[id]; });
+
+            const groups = {};
+            Object.keys(lcState.wallGroups).forEach(name => {
+                const members = lcState.wallGroups[name].filter(id => exportedIds.includes(id));
+                if (members.length > 0) groups[name] = members;
+            });
+
+            // Saved toggledarkness switches for this page; tokens are matched by name (and position) on import
+            const lightSwitches = {};
+            const prefix = `${page.id}_`;
+            Object.keys(lcState.toggledLightStates).filter(key => key.startsWith(prefix)).forEach(key => {
+                const tokens = {};
+                Object.keys(lcState.toggledLightStates[key]).forEach(tokenId => {
+                    const token = getObj("graphic", tokenId);
+                    tokens[tokenId] = {
+                        name: token ? token.get("name") : null,
+                        left: token ? token.get("left") : null,
+                        top: token ? token.get("top") : null,
+                        light: lcState.toggledLightStates[key][tokenId]
+                    };
+                });
+                lightSwitches[key.slice(prefix.length)] = tokens;
+            });
+
+            return {
+                type: "lightcontrol_page",
+                version: this.FORMAT_VERSION,
+                exportedAt: new Date().toISOString(),
+                page: Object.assign({ id: page.id }, pick(page, ["name", "width", "height", "scale_number", "snapping_increment", "grid_type"])),
+                walls, doors, meta, groups, lightSwitches
+            };
+        },
+
+        /**
+         * `!lc import <handout name> [--page name]`. Handout notes are read asynchronously.
+         */
+        processImportCommand(importArgs, playerid) {
+            if (!LightControl.perms.check("transfer", playerid)) return;
+            const { positional, flags } = LightControl.utils.parseFlags(importArgs);
+            const handoutName = positional.join(" ");
+            if (!handoutName) {
+                LightControl.utils.sendGmMessage("❌ Error: Missing handout name. Use: `!lc import <handout name> [--page name]`.");
+                return;
+            }
+            const handout = findObjs({ _type: "handout", name: handoutName })[0];
+            if (!handout) {
+                LightControl.utils.sendGmMessage(`❌ Error: Handout \`${handoutName}\` not found.`);
+                return;
+            }
+            const page = LightControl.utils.resolvePage(flags.page);
+            if (!page) {
+                LightControl.utils.sendGmMessage(`❌ Error: Page \`${flags.page}\` not found.`);
+                return;
+            }
+
+            handout.get("gmnotes", notes => {
+                let data;
+                try {
+                    data = JSON.parse(this.cleanNotes(notes));
+                } catch (e) {
+                    LightControl.utils.sendGmMessage(`❌ Error: Handout **${handoutName}** does not contain valid JSON (${e.message}).`);
+                    return;
+                }
+                if (!data || data.type !== "lightcontrol_page") {
+                    LightControl.utils.sendGmMessage(`❌ Error: Handout **${handoutName}** is not a LightControl page export.`);
+                    return;
+                }
+                try {
+                    const result = LightControl.history.run(`!lc import ${handoutName}`, playerid, () => this.applyImport(page, data));
+                    this.reportImport(handoutName, page, result);
+                } catch (err) {
+                    LightControl.utils.log(`Import of ${handoutName} failed: ${err.message}`, 'error');
+                    LightControl.utils.sendGmMessage(`❌ Error: Import of **${handoutName}** failed: ${err.message}`);
+                }
+            });
+        },
+
+        /**
+         * Handout notes come back as HTML; strips tags and entities so the JSON can be parsed.
+         */
+        cleanNotes(notes) {
+            return String(notes || "")
+                .replace(/<br\s*\/?>/gi, "\n")
+                .replace(/<[^>]*>/g, "")
+                .replace(/&nbsp;/g, " ")
+                .replace(/&quot;/g, '"')
+                .replace(/&lt;/g, "<")
+                .replace(/&gt;/g, ">")
+                .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(code))
+                .replace(/&amp;/g, "&");
+        },
+
+        /**
+         * Re-links or creates the exported walls and doors on `page` and carries their metadata, wall groups and
+         * light switches over to the resulting IDs. Returns counts for the report.
+         */
+        applyImport(page, data) {
+            const lcState = LightControl.utils.getState();
+            const result = { walls: { created: 0, relinked: 0, updated: 0 }, doors: { created: 0, relinked: 0, updated: 0 }, meta: 0, groups: 0, switches: 0, unmatchedTokens: 0 };
+            const idMap = {};
+            const samePlace = (obj, entry) => Math.abs((parseFloat(obj.get("x")) || 0) - entry.x) < 1 && Math.abs((parseFloat(obj.get("y")) || 0) - entry.y) < 1;
+
+            const existingWalls = findObjs({ _pageid: page.id, _type: "pathv2" });
+            (data.walls || []).forEach(entry => {
+                const props = {};
+                this.WALL_PROPERTIES.forEach(prop => { if (entry[prop] !== undefined) props[prop] = entry[prop]; });
+                const wall = existingWalls.find(w => w.id === entry.id) || existingWalls.find(w => w.get("points") === entry.points && samePlace(w, entry));
+                if (wall) {
+                    idMap[entry.id] = wall.id;
+                    result.walls.relinked++;
+                    if (this.applyChanges(wall, props)) result.walls.updated++;
+                    return;
+                }
+                const created = createObj("pathv2", Object.assign({ pageid: page.id }, props));
+                if (created) { LightControl.history.recordCreate(created); idMap[entry.id] = created.id; result.walls.created++; }
+            });
+
+            (data.doors || []).forEach(entry => {
+                const type = entry.type === "window" ? "window" : "door";
+                const props = {};
+                this.DOOR_PROPERTIES.forEach(prop => { if (entry[prop] !== undefined) props[prop] = entry[prop]; });
+                const existing = findObjs({ _pageid: page.id, _type: type });
+                const door = existing.find(d => d.id === entry.id) || existing.find(d => samePlace(d, entry));
+                if (door) {
+                    idMap[entry.id] = door.id;
+                    result.doors.relinked++;
+                    // Position and shape stay as they are on a re-linked door; only its state is taken over
+                    const flags = {};
+                    ["isOpen", "isLocked", "isSecret"].forEach(prop => { if (props[prop] !== undefined) flags[prop] = props[prop]; });
+                    const previousFlags = LightControl.hooks.getDoorFlags(door);
+                    if (this.applyChanges(door, flags)) {
+                        result.doors.updated++;
+                        LightControl.hooks.handleDoorChange(door, previousFlags);
+                    }
+                    return;
+                }
+                const created = createObj(type, Object.assign({ pageid: page.id }, props));
+                if (created) { LightControl.history.recordCreate(created); idMap[entry.id] = created.id; result.doors.created++; }
+            });
+
+            Object.keys(data.meta || {}).forEach(oldId => {
+                if (!idMap[oldId]) return;
+                LightControl.history.recordState("objectMeta", idMap[oldId]);
+                lcState.objectMeta[idMap[oldId]] = Object.assign({}, lcState.objectMeta[idMap[oldId]], data.meta[oldId]);
+                result.meta++;
+            });
+
+            Object.keys(data.groups || {}).forEach(name => {
+                const members = data.groups[name].map(id => idMap[id]).filter(Boolean);
+                if (members.length === 0) return;
+                LightControl.history.recordState("wallGroups", name);
+                const group = lcState.wallGroups[name] || (lcState.wallGroups[name] = []);
+                members.forEach(id => { if (!group.includes(id)) group.push(id); });
+                result.groups++;
+            });
+
+            const pageTokens = findObjs({ _pageid: page.id, _type: "graphic", _subtype: "token" });
+            Object.keys(data.lightSwitches || {}).forEach(switchId => {
+                const saved = {};
+                Object.keys(data.lightSwitches[switchId]).forEach(oldTokenId => {
+                    const entry = data.lightSwitches[switchId][oldTokenId];
+                    const token = this.matchToken(pageTokens, oldTokenId, entry);
+                    if (token) saved[token.id] = entry.light;
+                    else result.unmatchedTokens++;
+                });
+                if (Object.keys(saved).length === 0) return;
+                LightControl.history.recordState("toggledLightStates", `${page.id}_${switchId}`);
+                lcState.toggledLightStates[`${page.id}_${switchId}`] = saved;
+                result.switches++;
+            });
+            return result;
+        },
+
+        /**
+         * Sets the properties that differ through the history. Returns true if anything changed.
+         */
+        applyChanges(obj, props) {
+            const changes = {};
+            Object.keys(props).forEach(prop => {
+                const current = obj.get(prop);
+                const same = typeof props[prop] === "object" ? JSON.stringify(current) === JSON.stringify(props[prop]) : current === props[prop];
+                if (!same) changes[prop] = props[prop];
+            });
+            if (Object.keys(changes).length === 0) return false;
+            LightControl.history.set(obj, changes);
+            return true;
+        },
+
+        /**
+         * The same token (by ID), else the nearest token with the same name.
+         */
+        matchToken(tokens, oldTokenId, entry) {
+            const sameId = tokens.find(t => t.id === oldTokenId);
+            if (sameId) return sameId;
+            if (!entry.name) return null;
+            const named = tokens.filter(t => t.get("name") === entry.name);
+            if (named.length === 0 || entry.left === null) return named[0] || null;
+            return named.reduce((best, t) => Math.hypot(t.get("left") - entry.left, t.get("top") - entry.top) <
+                Math.hypot(best.get("left") - entry.left, best.get("top") - entry.top) ? t : best);
+        },
+
+        reportImport(handoutName, page, result) {
+            const describe = (counts) => `${counts.created} created, ${counts.relinked} re-linked (${counts.updated} updated)`;
+            LightControl.utils.sendGmMessage(`📦 Imported **${handoutName}** into **${page.get("name")}**:<br>` +
+                `• Walls: ${describe(result.walls)}<br>` +
+                `• Doors/windows: ${describe(result.doors)}<br>` +
+                `• Metadata: ${result.meta} object(s), wall groups: ${result.groups}<br>` +
+                `• Light switches: ${result.switches}` + (result.unmatchedTokens > 0 ? ` (⚠️ ${result.unmatchedTokens} token(s) not found on the page)` : ""));
+        }
+    },
+
+    // Day/Night Cycle
+    // Per-page clocks stored in state.LightControl.dayCycles as
+    // { pageid: { minuteOfDay, minutesPerHour, running } }. One shared ticker advances every running clock
+    // and eases the page's daylight brightness along config.DAYCYCLE_CURVE. Time does not pass while the sandbox is down.
+    dayCycle: {
+        processDayCycleCommand(cycleArgs, playerid) {
+            if (!LightControl.perms.check("daycycle", playerid)) return;
+            const cycles = LightControl.utils.getState().dayCycles;
+            const sub = cycleArgs[0] ? cycleArgs[0].toLowerCase() : "status";
+
+            if (sub === "status") {
+                const rows = Object.keys(cycles).map(pageid => {
+                    const cycle = cycles[pageid];
+                    const page = getObj("page", pageid);
+                    return `• <b>${page ? page.get("name") : pageid}</b>: ${this.formatTime(cycle.minuteOfDay)} (${this.getPhase(cycle.minuteOfDay)}), ` +
+                        `${cycle.running ? `running at ${cycle.minutesPerHour} real min/hour` : "paused"}`;
+                });
+                LightControl.utils.sendGmMessage(rows.length > 0 ? `🌗 Day cycles:<br>${rows.join("<br>")}` : "🌗 No day cycles. Use `!lc daycycle start <page> <minutesPerHour>`.");
+                return;
+            }
+
+            const page = LightControl.utils.resolvePage(cycleArgs[1]);
+            if (!page) {
+                LightControl.utils.sendGmMessage(`❌ Error: Page \`${cycleArgs[1]}\` not found.`);
+                return;
+            }
+
+            switch (sub) {
+                case "start": {
+                    const minutesPerHour = cycleArgs[2] !== undefined ? parseFloat(cycleArgs[2]) : LightControl.config.DAYCYCLE_DEFAULT_MINUTES_PER_HOUR;
+                    if (isNaN(minutesPerHour) || minutesPerHour <= 0) {
+                        LightControl.utils.sendGmMessage("❌ Error: minutesPerHour must be a positive number. Use: `!lc daycycle start <page> <minutesPerHour>`.");
+                        return;
+                    }
+                    const cycle = cycles[page.id] = cycles[page.id] || { minuteOfDay: LightControl.config.DAYCYCLE_START_HOUR * 60 };
+                    Object.assign(cycle, { minutesPerHour, running: true });
+                    this.applyBrightness(page, cycle.minuteOfDay);
+                    this.ensureTicker();
+                    LightControl.utils.sendGmMessage(`🌗 Day cycle started on **${page.get("name")}** at ${this.formatTime(cycle.minuteOfDay)} (${minutesPerHour} real minute(s) per hour).`);
+                    break;
+                }
+                case "stop":
+                    if (!cycles[page.id]) { LightControl.utils.sendGmMessage(`⚠️ No day cycle on ${page.get("name")}.`); return; }
+                    cycles[page.id].running = false;
+                    LightControl.utils.sendGmMessage(`⏸️ Day cycle paused on **${page.get("name")}** at ${this.formatTime(cycles[page.id].minuteOfDay)}.`);
+                    break;
+                case "clear":
+                    delete cycles[page.id];
+                    LightControl.utils.sendGmMessage(`🗑️ Day cycle removed from **${page.get("name")}**.`);
+                    break;
+                default:
+                    LightControl.utils.sendGmMessage("❌ Error: Use `!lc daycycle start <page> <minutesPerHour>`, `!lc daycycle stop|clear <page>` or `!lc daycycle status`.");
+            }
+        },
+
+        /**
+         * `!lc time` shows the time and `!lc time set <HH:MM> [page]` jumps to it, updating daylight immediately.
+         */
+        processTimeCommand(timeArgs, playerid) {
+            if (!LightControl.perms.check("daycycle", playerid)) return;
+            if (!timeArgs[0] || timeArgs[0].toLowerCase() !== "set") {
+                this.processDayCycleCommand(["status"], playerid);
+                return;
+            }
+            const minuteOfDay = this.parseTime(timeArgs[1]);
+            if (minuteOfDay === null) {
+                LightControl.utils.sendGmMessage("❌ Error: Invalid time. Use: `!lc time set <HH:MM> [page]`, e.g. `!lc time set 18:00`.");
+                return;
+            }
+            const page = LightControl.utils.resolvePage(timeArgs[2]);
+            if (!page) {
+                LightControl.utils.sendGmMessage(`❌ Error: Page \`${timeArgs[2]}\` not found.`);
+                return;
+            }
+            const cycles = LightControl.utils.getState().dayCycles;
+            const cycle = cycles[page.id] = cycles[page.id] || { minutesPerHour: LightControl.config.DAYCYCLE_DEFAULT_MINUTES_PER_HOUR, running: false };
+            cycle.minuteOfDay = minuteOfDay;
+            this.applyBrightness(page, minuteOfDay);
+            LightControl.utils.sendGmMessage(`🕰️ Time on **${page.get("name")}** set to ${this.formatTime(minuteOfDay)} (${this.getPhase(minuteOfDay)}).`);
+        },
+
+        parseTime(text) {
+            const match = String(text || "").match(/^(\d{1,2})(?::(\d{2}))?$/);
+            if (!match) return null;
+            const hours = parseInt(match[1], 10), minutes = parseInt(match[2] || "0", 10);
+            if (hours > 23 || minutes > 59) return null;
+            return hours * 60 + minutes;
+        },
+
+        formatTime(minuteOfDay) {
+            const whole = Math.floor(minuteOfDay);
+            return `${String(Math.floor(whole / 60)).padStart(2, "0")}:${String(whole % 60).padStart(2, "0")}`;
+        },
+
+        /**
+         * Daylight brightness (0-1) for a time of day, interpolated linearly between DAYCYCLE_CURVE points.
+         */
+        brightnessAt(minuteOfDay) {
+            const hour = minuteOfDay / 60;
+            const curve = LightControl.config.DAYCYCLE_CURVE;
+            for (let i = 1; i < curve.length; i++) {
+                const [h0, b0] = curve[i - 1], [h1, b1] = curve[i];
+                if (hour <= h1) return h1 === h0 ? b1 : b0 + (b1 - b0) * (hour - h0) / (h1 - h0);
+            }
+            return curve[curve.length - 1][1];
+        },
+
+        getPhase(minuteOfDay) {
+            const hour = minuteOfDay / 60;
+            const phases = Object.entries(LightControl.config.DAYCYCLE_PHASES).sort((a, b) => a[1] - b[1]);
+            let current = phases[phases.length - 1][0]; // Before the first phase of the day, it's still the last one
+            phases.forEach(([name, startHour]) => { if (hour >= startHour) current = name; });
+            return current;
+        },
+
+        applyBrightness(page, minuteOfDay) {
+            const brightness = Math.round(this.brightnessAt(minuteOfDay) * 100) / 100;
+            if (page.get("daylight_mode_enabled") !== true || page.get("daylightModeOpacity") !== brightness) {
+                page.set({ daylight_mode_enabled: true, daylightModeOpacity: brightness });
+            }
+        },
+
+        ensureTicker() {
+            if (LightControl.state.dayCycleInterval) return;
+            LightControl.state.dayCycleLastTick = Date.now();
+            LightControl.state.dayCycleInterval = setInterval(() => this.tick(), LightControl.config.DAYCYCLE_TICK_SECONDS * 1000);
+        },
+
+        tick() {
+            const now = Date.now();
+            const elapsedMs = now - LightControl.state.dayCycleLastTick;
+            LightControl.state.dayCycleLastTick = now;
+
+            const cycles = LightControl.utils.getState().dayCycles;
+            const running = Object.keys(cycles).filter(pageid => cycles[pageid].running);
+            if (running.length === 0) {
+                clearInterval(LightControl.state.dayCycleInterval);
+                LightControl.state.dayCycleInterval = null;
+                return;
+            }
+
+            running.forEach(pageid => {
+                const cycle = cycles[pageid];
+                const page = getObj("page", pageid);
+                if (!page) {
+                    delete cycles[pageid];
+                    return;
+                }
+                const previousPhase = this.getPhase(cycle.minuteOfDay);
+                cycle.minuteOfDay = (cycle.minuteOfDay + (elapsedMs / 60000) * (60 / cycle.minutesPerHour)) % 1440;
+                this.applyBrightness(page, cycle.minuteOfDay);
+
+                const phase = this.getPhase(cycle.minuteOfDay);
+                if (phase !== previousPhase) {
+                    LightControl.utils.sendGmMessage(`🌗 **${page.get("name")}**: ${phase} has begun (${this.formatTime(cycle.minuteOfDay)}).`);
+                }
+            });
+        },
+
+        /**
+         * Restarts the ticker on ready if any persisted cycle is running.
+         */
+        restore() {
+            const cycles = LightControl.utils.getState().dayCycles;
+            if (Object.values(cycles).some(cycle => cycle.running)) {
+                this.ensureTicker();
+                LightControl.utils.log("Resumed day/night cycle(s).", 'info');
+            }
+        }
+    },
+
+    // Flicker and Pulse Light Effects
+    // Effects are stored in state.LightControl.lightEffects as
+    // { tokenID: { mode, min, max, rate, period, base: { radiusProp: value } } } so they can be resumed after a restart
+    // and the token's exact original radii restored when the effect stops.
+    lightEffects: {
+        RADIUS_PROPERTIES: ["light_radius", "light_dimradius", "bright_light_distance", "low_light_distance"],
+
+        /**
+         * `!lc flicker|pulse [IDs...|selected] [--min r] [--max r] [--rate s] [--period s]`,
+         * `!lc flicker|pulse stop [IDs...|selected|page|all]` and `!lc flicker|pulse list`.
+         */
+        processEffectCommand(mode, effectArgs, selectedTokens, playerid) {
+            if (!LightControl.perms.check("flicker", playerid)) return;
+            const { positional, flags } = LightControl.utils.parseFlags(effectArgs);
+            const sub = positional[0] ? positional[0].toLowerCase() : null;
+
+            if (sub === "list") {
+                const effects = LightControl.utils.getState().lightEffects;
+                const rows = Object.keys(effects).map(id => {
+                    const token = getObj("graphic", id);
+                    const effect = effects[id];
+                    return `• ${token ? LightControl.utils.getTokenName(token) : id}: ${effect.mode} ${effect.min}-${effect.max} every ${effect.rate}s [Stop](!lc flicker stop ${id})`;
+                });
+                LightControl.utils.sendGmMessage(rows.length > 0 ? `🕯️ Light effects:<br>${rows.join("<br>")}` : "🕯️ No light effects running.");
+                return;
+            }
+
+            if (sub === "stop") {
+                const targets = positional.slice(1);
+                const effects = LightControl.utils.getState().lightEffects;
+                let tokenIds;
+                if (targets[0] && targets[0].toLowerCase() === "all") {
+                    tokenIds = Object.keys(effects);
+                } else if (targets[0] && targets[0].toLowerCase() === "page") {
+                    const pageid = Campaign().get("playerpageid");
+                    tokenIds = Object.keys(effects).filter(id => {
+                        const token = getObj("graphic", id);
+                        return !token || token.get("_pageid") === pageid;
+                    });
+                } else {
+                    tokenIds = LightControl.utils.resolveTokenTargets(targets, selectedTokens).map(t => t.id);
+                }
+                const stopped = tokenIds.filter(id => this.stopEffect(id)).length;
+                LightControl.utils.sendGmMessage(`🕯️ Stopped ${stopped} light effect(s) and restored the original light.`);
+                return;
+            }
+
+            const tokens = LightControl.utils.resolveTokenTargets(positional, selectedTokens);
+            if (tokens.length === 0) {
+                LightControl.utils.sendGmMessage(`❌ Error: No tokens given or selected. Use: \`!lc ${mode} <IDs...|selected> [--min r] [--max r] [--rate s]\`.`);
+                return;
+            }
+
+            const config = LightControl.config;
+            const rate = flags.rate !== undefined ? parseFloat(flags.rate) : config.LIGHT_EFFECT_DEFAULT_RATE;
+            const period = flags.period !== undefined ? parseFloat(flags.period) : config.LIGHT_EFFECT_DEFAULT_PERIOD;
+            const min = flags.min !== undefined ? parseFloat(flags.min) : null;
+            const max = flags.max !== undefined ? parseFloat(flags.max) : null;
+            if (isNaN(rate) || rate <= 0 || isNaN(period) || period <= 0 || (min !== null && (isNaN(min) || min < 0)) || (max !== null && isNaN(max)) ||
+                (min !== null && max !== null && min > max)) {
+                LightControl.utils.sendGmMessage("❌ Error: --rate/--period must be positive and --min must not exceed --max.");
+                return;
+            }
+
+            const effects = LightControl.utils.getState().lightEffects;
+            let started = 0, skipped = [];
+            tokens.forEach(token => {
+                if (!effects[token.id] && Object.keys(effects).length >= config.LIGHT_EFFECT_MAX_EFFECTS) {
+                    skipped.push(`${LightControl.utils.getTokenName(token)} (limit of ${config.LIGHT_EFFECT_MAX_EFFECTS} effects reached)`);
+                    return;
+                }
+                // Restarting an effect keeps the original base values
+                const base = effects[token.id] ? effects[token.id].base : this.captureBase(token);
+                const baseRadius = this.getPrimaryRadius(base);
+                if (baseRadius <= 0) {
+                    skipped.push(`${LightControl.utils.getTokenName(token)} (emits no light)`);
+                    return;
+                }
+                this.stopEffect(token.id, false);
+                const variance = baseRadius * config.LIGHT_EFFECT_DEFAULT_VARIANCE;
+                effects[token.id] = {
+                    mode, rate, period, base,
+                    min: min !== null ? min : Math.max(0, baseRadius - variance),
+                    max: max !== null ? max : baseRadius + variance
+                };
+                this.scheduleEffect(token.id);
+                started++;
+            });
+
+            LightControl.utils.sendGmMessage(`🕯️ Started ${mode} on ${started} token(s).` + (skipped.length ? `<br>⚠️ Skipped: ${skipped.join(", ")}` : ""));
+        },
+
+        captureBase(token) {
+            const base = {};
+            this.RADIUS_PROPERTIES.forEach(prop => base[prop] = token.get(prop));
+            return base;
+        },
+
+        /**
+         * A token's light properties (areaDarkness.LIGHT_PROPERTIES_TO_SAVE), with a running effect's base radii
+         * in place of the current, flickering ones.
+         */
+        captureLight(token) {
+            const props = {};
+            LightControl.areaDarkness.LIGHT_PROPERTIES_TO_SAVE.forEach(prop => props[prop] = token.get(prop));
+            const effect = LightControl.utils.getState().lightEffects[token.id];
+            if (effect) {
+                this.RADIUS_PROPERTIES.forEach(prop => {
+                    if (effect.base[prop] !== undefined && effect.base[prop] !== null) props[prop] = effect.base[prop];
+                });
+            }
+            return props;
+        },
+
+        /**
+         * The radius --min/--max refer to: the legacy total light radius, or bright + low light for Updated Dynamic Lighting.
+         */
+        getPrimaryRadius(base) {
+            const legacy = parseFloat(base.light_radius) || 0;
+            if (legacy > 0) return legacy;
+            return (parseFloat(base.bright_light_distance) || 0) + (parseFloat(base.low_light_distance) || 0);
+        },
+
+        /**
+         * Spaces updates so that all running effects together stay under LIGHT_EFFECT_MAX_UPDATES_PER_SECOND.
+         */
+        getInterval(effect) {
+            const config = LightControl.config;
+            const activeCount = Object.keys(LightControl.utils.getState().lightEffects).length;
+            return Math.max(effect.rate * 1000, config.LIGHT_EFFECT_MIN_INTERVAL_MS, (activeCount / config.LIGHT_EFFECT_MAX_UPDATES_PER_SECOND) * 1000);
+        },
+
+        scheduleEffect(tokenId) {
+            const effect = LightControl.utils.getState().lightEffects[tokenId];
+            if (!effect) return;
+            LightControl.state.lightEffectTimeouts[tokenId] = setTimeout(() => {
+                const token = getObj("graphic", tokenId);
+                // Lights switched off by something else (e.g. another script) end the effect rather than being relit
+                if (!token || !LightControl.areaDarkness.emitsLight(token)) {
+                    this.stopEffect(tokenId, false);
+                    return;
+                }
+                this.applyEffectFrame(token, effect);
+                this.scheduleEffect(tokenId);
+            }, this.getInterval(effect));
+        },
+
+        applyEffectFrame(token, effect) {
+            let radius;
+            if (effect.mode === "pulse") {
+                const phase = (Date.now() / 1000) % effect.period / effect.period;
+                radius = effect.min + (effect.max - effect.min) * (0.5 - 0.5 * Math.cos(phase * 2 * Math.PI));
+            } else {
+                radius = effect.min + Math.random() * (effect.max - effect.min);
+            }
+            const factor = radius / this.getPrimaryRadius(effect.base);
+            const changes = {};
+            this.RADIUS_PROPERTIES.forEach(prop => {
+                const baseValue = parseFloat(effect.base[prop]);
+                if (baseValue > 0) changes[prop] = Math.round(baseValue * factor * 10) / 10;
+            });
+            token.set(changes);
+        },
+
+        /**
+         * Stops a token's effect and (unless `restore` is false) puts its original radii back. Returns true if one was running.
+         */
+        stopEffect(tokenId, restore = true) {
+            const effects = LightControl.utils.getState().lightEffects;
+            const effect = effects[tokenId];
+            clearTimeout(LightControl.state.lightEffectTimeouts[tokenId]);
+            delete LightControl.state.lightEffectTimeouts[tokenId];
+            if (!effect) return false;
+            delete effects[tokenId];
+            const token = getObj("graphic", tokenId);
+            if (restore && token) {
+                const changes = {};
+                this.RADIUS_PROPERTIES.forEach(prop => {
+                    if (effect.base[prop] !== undefined && effect.base[prop] !== null) changes[prop] = effect.base[prop];
+                });
+                token.set(changes);
+            }
+            return true;
+        },
+
+        /**
+         * Resumes persisted effects on ready.
+         */
+        restore() {
+            const ids = Object.keys(LightControl.utils.getState().lightEffects);
+            ids.forEach(id => this.scheduleEffect(id));
+            if (ids.length > 0) LightControl.utils.log(`Resumed ${ids.length} light effect(s).`, 'info');
+        }
+    },
+
+    // Burning Light Sources
+    // Tracked sources are stored in state.LightControl.lightSources as
+    // { tokenID: { preset, totalMs, remainingMs, dimmed } }. A source only burns while its token actually emits light,
+    // so dousing it, or turning it off with toggledarkness or a scene, pauses it instead of draining it.
+    lightSources: {
+        /**
+         * `!lc lightsource [IDs...|selected] <preset> [--duration 1h]`, `!lc lightsource douse|light|remove [IDs...|selected]`,
+         * `!lc lightsource list` and `!lc lightsource clock real|manual`.
+         */
+        processLightSourceCommand(sourceArgs, selectedTokens, playerid) {
+            if (!LightControl.perms.check("lightsource", playerid)) return;
+            const lcState = LightControl.utils.getState();
+            const sources = lcState.lightSources;
+            const presets = LightControl.config.LIGHT_SOURCE_PRESETS;
+            const { positional, flags } = LightControl.utils.parseFlags(sourceArgs);
+            const sub = positional[0] ? positional[0].toLowerCase() : "list";
+
+            if (sub === "list") {
+                const rows = Object.keys(sources).map(id => {
+                    const token = getObj("graphic", id);
+                    const lit = token && LightControl.areaDarkness.emitsLight(token);
+                    return `• ${token ? LightControl.utils.getTokenName(token) : id}: ${sources[id].preset}, ${this.formatRemaining(sources[id].remainingMs)} left` +
+                        `${sources[id].dimmed ? " (dimming)" : ""}${lit ? "" : " (not lit)"}`;
+                });
+                LightControl.utils.sendGmMessage((rows.length > 0 ? `🔥 Light sources (clock: ${lcState.lightSourceClock}):<br>${rows.join("<br>")}` : "🔥 No light sources are being tracked.") +
+                    `<br><i>Presets: ${Object.keys(presets).join(", ")}</i>`);
+                return;
+            }
+
+            if (sub === "clock") {
+                const clock = positional[1] ? positional[1].toLowerCase() : null;
+                if (clock !== "real" && clock !== "manual") {
+                    LightControl.utils.sendGmMessage("❌ Error: Use `!lc lightsource clock real|manual`.");
+                    return;
+                }
+                lcState.lightSourceClock = clock;
+                this.ensureTicker();
+                LightControl.utils.sendGmMessage(clock === "real" ? "🔥 Light sources now burn in real time." : "🔥 Light sources now only burn on `!lc advance <duration>`.");
+                return;
+            }
+
+            if (["douse", "light", "remove"].includes(sub)) {
+                const tokens = LightControl.utils.resolveTokenTargets(positional.slice(1), selectedTokens).filter(t => sources[t.id]);
+                if (tokens.length === 0) {
+                    LightControl.utils.sendGmMessage("❌ Error: None of the given or selected tokens is a tracked light source.");
+                    return;
+                }
+                tokens.forEach(token => {
+                    if (sub === "douse") {
+                        LightControl.lightEffects.stopEffect(token.id, false);
+                        LightControl.history.set(token, LightControl.areaDarkness.LIGHTS_OFF);
+                    } else if (sub === "light") {
+                        this.applyProfile(token, sources[token.id]);
+                    } else {
+                        LightControl.history.recordState("lightSources", token.id);
+                        delete sources[token.id];
+                    }
+                });
+                const verb = { douse: "Doused", light: "Relit", remove: "Stopped tracking" }[sub];
+                LightControl.utils.sendGmMessage(`🔥 ${verb} ${tokens.length} light source(s).`);
+                return;
+            }
+
+            // Otherwise: assign a preset to the given or selected tokens
+            const presetIndex = positional.findIndex(arg => presets[arg.toLowerCase()]);
+            if (presetIndex === -1) {
+                LightControl.utils.sendGmMessage(`❌ Error: Missing or unknown preset. Use: \`!lc lightsource [IDs...|selected] <${Object.keys(presets).join("|")}>\`.`);
+                return;
+            }
+            const presetName = positional[presetIndex].toLowerCase();
+            const tokens = LightControl.utils.resolveTokenTargets(positional.filter((_, i) => i !== presetIndex), selectedTokens);
+            if (tokens.length === 0) {
+                LightControl.utils.sendGmMessage("❌ Error: No tokens given or selected.");
+                return;
+            }
+            const totalMs = flags.duration !== undefined ? LightControl.utils.parseDuration(flags.duration) : presets[presetName].minutes * 60000;
+            if (isNaN(totalMs) || totalMs <= 0) {
+                LightControl.utils.sendGmMessage("❌ Error: Invalid --duration. Use e.g. `--duration 1h` or `--duration 30m`.");
+                return;
+            }
+
+            tokens.forEach(token => {
+                LightControl.history.recordState("lightSources", token.id);
+                sources[token.id] = { preset: presetName, totalMs, remainingMs: totalMs, dimmed: false };
+                this.applyProfile(token, sources[token.id]);
+            });
+            this.ensureTicker();
+            LightControl.utils.sendGmMessage(`🔥 ${tokens.length} token(s) now carry a lit ${presetName} (${this.formatRemaining(totalMs)}).`);
+        },
+
+        /**
+         * `!lc advance <duration>` burns every lit source by an amount of in-game time.
+         */
+        processAdvanceCommand(advanceArgs, playerid) {
+            if (!LightControl.perms.check("lightsource", playerid)) return;
+            const elapsedMs = LightControl.utils.parseDuration(advanceArgs[0]);
+            if (isNaN(elapsedMs) || elapsedMs <= 0) {
+                LightControl.utils.sendGmMessage("❌ Error: Invalid duration. Use: `!lc advance <duration>`, e.g. `!lc advance 10m`.");
+                return;
+            }
+            const burned = this.burn(elapsedMs);
+            LightControl.utils.sendGmMessage(`⏩ Advanced ${this.formatRemaining(elapsedMs)}: ${burned} light source(s) burned.`);
+        },
+
+        /**
+         * Sets the token's light to its preset's profile, at the dimmed strength once the source is running low.
+         */
+        applyProfile(token, source) {
+            const preset = LightControl.config.LIGHT_SOURCE_PRESETS[source.preset];
+            const factor = source.dimmed ? LightControl.config.LIGHT_SOURCE_DIM_FACTOR : 1;
+            const bright = Math.round(preset.bright * factor * 10) / 10;
+            const low = Math.round(preset.low * factor * 10) / 10;
+            LightControl.lightEffects.stopEffect(token.id, false);
+            LightControl.history.set(token, {
+                light_radius: bright + low, light_dimradius: bright, light_otherplayers: true,
+                emits_bright_light: bright > 0, bright_light_distance: bright,
+                emits_low_light: low > 0, low_light_distance: low
+            });
+        },
+
+        /**
+         * Drains `elapsedMs` from every source whose token is lit, dimming and extinguishing as they run low.
+         * Returns the number of sources that burned.
+         */
+        burn(elapsedMs) {
+            const sources = LightControl.utils.getState().lightSources;
+            let burned = 0;
+            Object.keys(sources).forEach(tokenId => {
+                const source = sources[tokenId];
+                const token = getObj("graphic", tokenId);
+                if (!token) {
+                    delete sources[tokenId];
+                    return;
+                }
+                if (!LightControl.areaDarkness.emitsLight(token)) return;
+                burned++;
+                const remainingMs = Math.max(0, source.remainingMs - elapsedMs);
+                // `!lc advance` records every source; real-time ticks only when one dims or burns out
+                const dims = !source.dimmed && remainingMs <= source.totalMs * LightControl.config.LIGHT_SOURCE_DIM_FRACTION;
+                if (LightControl.state.currentOperation || remainingMs === 0 || dims) LightControl.history.recordState("lightSources", tokenId);
+                source.remainingMs = remainingMs;
+
+                if (source.remainingMs === 0) {
+                    delete sources[tokenId];
+                    LightControl.lightEffects.stopEffect(tokenId, false);
+                    LightControl.history.set(token, LightControl.areaDarkness.LIGHTS_OFF);
+                    LightControl.utils.notifyTokenControllers(token, `🌑 ${LightControl.utils.getTokenName(token)}'s ${source.preset} has burned out.`);
+                } else if (dims) {
+                    source.dimmed = true;
+                    this.applyProfile(token, source);
+                    LightControl.utils.notifyTokenControllers(token, `🕯️ ${LightControl.utils.getTokenName(token)}'s ${source.preset} is sputtering (${this.formatRemaining(source.remainingMs)} left).`);
                 }
             });
+            return burned;
+        },
 
-            LightControl.utils.logDoorOperation(`🚪 Processed ${changedCount} of ${affectedObjects.length} door(s)/window(s) in the ${shape} area with action: ${action}.`);
+        formatRemaining(ms) {
+            const minutes = Math.round(ms / 60000);
+            if (minutes < 1) return `${Math.round(ms / 1000)}s`;
+            return minutes >= 60 ? `${Math.floor(minutes / 60)}h${minutes % 60 ? ` ${minutes % 60}m` : ""}` : `${minutes}m`;
+        },
+
+        /**
+         * Starts (or stops) the real-time ticker to match the clock mode and whether any source is tracked.
+         */
+        ensureTicker() {
+            const lcState = LightControl.utils.getState();
+            const needed = lcState.lightSourceClock === "real" && Object.keys(lcState.lightSources).length > 0;
+            if (!needed) {
+                clearInterval(LightControl.state.lightSourceInterval);
+                LightControl.state.lightSourceInterval = null;
+                return;
+            }
+            if (LightControl.state.lightSourceInterval) return;
+            LightControl.state.lightSourceLastTick = Date.now();
+            LightControl.state.lightSourceInterval = setInterval(() => {
+                const now = Date.now();
+                LightControl.history.run("Light sources burned", "API", () => this.burn(now - LightControl.state.lightSourceLastTick));
+                LightControl.state.lightSourceLastTick = now;
+                this.ensureTicker();
+            }, LightControl.config.LIGHT_SOURCE_TICK_SECONDS * 1000);
         }
     },
 
-    // Area Darkness Command (now ToggleDarkness)
-    areaDarkness: {
-        LIGHT_PROPERTIES_TO_SAVE: [
-            "light_radius", "light_dimradius", "light_otherplayers", "light_hassight",
-            "light_angle", "light_losangle", "light_multiplier", "light_color"
+    // Token Vision
+    // Vision changes are tracked in state.LightControl.visionStates as
+    // { tokenID: { original: { prop: value }, blind: { saved, layer }|null, profile: { name, saved, expiresAt, layer }|null, layers } }.
+    // `original` is captured before LightControl first touches a token's vision; blind and profile are overlays that keep
+    // just the properties they replaced, so each can be undone on its own and in any order.
+    vision: {
+        VISION_PROPERTIES: [
+            "has_bright_light_vision", "has_night_vision", "night_vision_distance", "night_vision_tint", "night_vision_effect",
+            "light_hassight" // Legacy Dynamic Lighting
         ],
+        BLIND: { has_bright_light_vision: false, has_night_vision: false, light_hassight: false },
 
-        parseToggleArgs(args) {
-            let shape, dimensions = [], switchId = null;
-            let i = 0;
-            if (args[i]) {
-                shape = args[i].toLowerCase();
-                i++;
+        /**
+         * `!lc vision darkvision|tint|blind|unblind|profile|restore [IDs...|selected] ...` and `!lc vision list`.
+         */
+        processVisionCommand(visionArgs, selectedTokens, playerid) {
+            if (!LightControl.perms.check("vision", playerid)) return;
+            const { positional, flags } = LightControl.utils.parseFlags(visionArgs);
+            const sub = positional[0] ? positional[0].toLowerCase() : "list";
+            const visionStates = LightControl.utils.getState().visionStates;
+
+            if (sub === "list") {
+                const rows = Object.keys(visionStates).map(id => {
+                    const token = getObj("graphic", id);
+                    const entry = visionStates[id];
+                    const notes = [];
+                    if (entry.blind) notes.push("blind");
+                    if (entry.profile) notes.push(`profile ${entry.profile.name}` + (entry.profile.expiresAt ? ` (${Math.max(0, Math.ceil((entry.profile.expiresAt - Date.now()) / 1000))}s left)` : ""));
+                    if (token && token.get("has_night_vision")) notes.push(`darkvision ${token.get("night_vision_distance")}`);
+                    return `• ${token ? LightControl.utils.getTokenName(token) : id}: ${notes.join(", ") || "modified"} [Restore](!lc vision restore ${id})`;
+                });
+                LightControl.utils.sendGmMessage(rows.length > 0 ? `👁️ Modified vision:<br>${rows.join("<br>")}` : "👁️ No token vision has been changed by LightControl.");
+                return;
             }
 
-            // Consume dimension args until --id or end
-            while(args[i] && args[i] !== "--id") {
-                dimensions.push(args[i]);
-                i++;
+            // The value argument (range, colour or profile name) comes last for darkvision, tint and profile
+            const takesValue = ["darkvision", "tint", "profile"].includes(sub);
+            const value = takesValue ? positional[positional.length - 1] : null;
+            const tokens = LightControl.utils.resolveTokenTargets(positional.slice(1, takesValue ? -1 : undefined), selectedTokens);
+            if (takesValue && positional.length < 2) {
+                LightControl.utils.sendGmMessage(`❌ Error: Missing value. Use: \`!lc vision ${sub} [IDs...|selected] <value>\`. Try \`!lc help\`.`);
+                return;
+            }
+            if (tokens.length === 0) {
+                LightControl.utils.sendGmMessage("❌ Error: No tokens given or selected.");
+                return;
             }
 
-            // Check for --id
-            if (args[i] === "--id" && args[i+1]) {
-                switchId = args[i+1];
-                i += 2; 
+            let feedback;
+            switch (sub) {
+                case "darkvision": {
+                    const off = value.toLowerCase() === "off";
+                    const range = parseFloat(value);
+                    if (!off && (isNaN(range) || range <= 0)) {
+                        LightControl.utils.sendGmMessage("❌ Error: Darkvision needs a positive range or `off`, e.g. `!lc vision darkvision selected 60`.");
+                        return;
+                    }
+                    tokens.forEach(token => {
+                        this.rememberOriginal(token);
+                        token.set(off ? { has_night_vision: false } : { has_night_vision: true, night_vision_distance: range });
+                    });
+                    feedback = off ? "Removed darkvision from" : `Granted ${range} ft darkvision to`;
+                    break;
+                }
+                case "tint": {
+                    const none = value.toLowerCase() === "none";
+                    if (!none && !/^#[0-9a-f]{6}$/i.test(value)) {
+                        LightControl.utils.sendGmMessage("❌ Error: Tint must be a colour like `#00ff00`, or `none`.");
+                        return;
+                    }
+                    tokens.forEach(token => {
+                        this.rememberOriginal(token);
+                        token.set({ night_vision_tint: none ? "transparent" : value });
+                    });
+                    feedback = none ? "Cleared the night-vision tint of" : `Set a ${value} night-vision tint on`;
+                    break;
+                }
+                case "blind":
+                    tokens.forEach(token => {
+                        const entry = this.rememberOriginal(token);
+                        if (entry.blind) return;
+                        entry.blind = { saved: this.capture(token, Object.keys(this.BLIND)), layer: ++entry.layers };
+                        token.set(this.BLIND);
+                    });
+                    feedback = "Blinded";
+                    break;
+                case "unblind":
+                    tokens.forEach(token => this.endOverlay(token.id, "blind"));
+                    feedback = "Restored sight to";
+                    break;
+                case "profile": {
+                    const name = value.toLowerCase();
+                    if (name === "off") {
+                        tokens.forEach(token => this.endProfile(token.id));
+                        feedback = "Ended the vision profile of";
+                        break;
+                    }
+                    const profile = LightControl.config.VISION_PROFILES[name];
+                    if (!profile) {
+                        LightControl.utils.sendGmMessage(`❌ Error: Unknown vision profile \`${name}\`. Profiles: ${Object.keys(LightControl.config.VISION_PROFILES).join(", ")}.`);
+                        return;
+                    }
+                    const durationMs = flags.for !== undefined ? LightControl.utils.parseDuration(flags.for) : null;
+                    if (durationMs !== null && (isNaN(durationMs) || durationMs <= 0)) {
+                        LightControl.utils.sendGmMessage("❌ Error: Invalid --for duration. Use e.g. `--for 1m`.");
+                        return;
+                    }
+                    tokens.forEach(token => {
+                        const entry = this.rememberOriginal(token);
+                        // Swapping profiles keeps what was there before the first one
+                        const saved = entry.profile ? entry.profile.saved : this.capture(token, Object.keys(profile));
+                        Object.keys(profile).forEach(prop => { if (saved[prop] === undefined) saved[prop] = token.get(prop); });
+                        this.clearProfileTimer(token.id);
+                        entry.profile = { name, saved, expiresAt: durationMs ? Date.now() + durationMs : null, layer: entry.profile ? entry.profile.layer : ++entry.layers };
+                        token.set(profile);
+                        if (durationMs) this.armProfileTimer(token.id, durationMs);
+                    });
+                    feedback = `Applied the ${name} vision profile${durationMs ? ` for ${flags.for}` : ""} to`;
+                    break;
+                }
+                case "restore":
+                    tokens.forEach(token => this.restoreOriginal(token.id));
+                    feedback = "Restored the original vision of";
+                    break;
+                default:
+                    LightControl.utils.sendGmMessage("❌ Error: Unknown vision command. Use darkvision, tint, blind, unblind, profile, restore or list. Try `!lc help`.");
+                    return;
             }
-            return { shape, dimensions, switchId };
+            LightControl.utils.sendGmMessage(`👁️ ${feedback} ${tokens.length} token(s).`);
         },
 
-        processToggleDarknessCommand(fullArgs, selectedTokens, playerid) {
-            if (!LightControl.utils.isGM(playerid)) {
-                let player_obj = getObj('player', playerid);
-                let display_name = "";
-                if(player_obj) display_name = player_obj.get('_displayname');
-                sendChat("LightControl", "/w " + display_name + " Permission error: This command is GM only.", null, {noarchive: true});
-                return;
+        capture(token, props) {
+            const values = {};
+            props.forEach(prop => values[prop] = token.get(prop));
+            return values;
+        },
+
+        /**
+         * Returns the token's vision state entry, capturing its original vision the first time.
+         */
+        rememberOriginal(token) {
+            const visionStates = LightControl.utils.getState().visionStates;
+            if (!visionStates[token.id]) {
+                visionStates[token.id] = { original: this.capture(token, this.VISION_PROPERTIES), blind: null, profile: null, layers: 0 };
+            }
+            return visionStates[token.id];
+        },
+
+        restoreOriginal(tokenId) {
+            const visionStates = LightControl.utils.getState().visionStates;
+            const entry = visionStates[tokenId];
+            if (!entry) return;
+            this.clearProfileTimer(tokenId);
+            const token = getObj("graphic", tokenId);
+            if (token) {
+                const changes = {};
+                Object.keys(entry.original).forEach(prop => {
+                    if (entry.original[prop] !== undefined) changes[prop] = entry.original[prop];
+                });
+                token.set(changes);
             }
+            delete visionStates[tokenId];
+        },
+
+        /**
+         * Removes the "blind" or "profile" overlay. Where the other overlay was applied later and covers the same
+         * property, the saved value is handed to that overlay instead of the token, so it comes back when that one ends.
+         */
+        endOverlay(tokenId, key) {
+            const entry = LightControl.utils.getState().visionStates[tokenId];
+            if (!entry || !entry[key]) return false;
+            const overlay = entry[key];
+            const other = entry[key === "blind" ? "profile" : "blind"];
+            const changes = {};
+            Object.keys(overlay.saved).forEach(prop => {
+                if (other && other.layer > overlay.layer && prop in other.saved) {
+                    other.saved[prop] = overlay.saved[prop];
+                } else {
+                    changes[prop] = overlay.saved[prop];
+                }
+            });
+            const token = getObj("graphic", tokenId);
+            if (token && Object.keys(changes).length > 0) token.set(changes);
+            entry[key] = null;
+            return true;
+        },
+
+        endProfile(tokenId) {
+            this.clearProfileTimer(tokenId);
+            return this.endOverlay(tokenId, "profile");
+        },
+
+        armProfileTimer(tokenId, delayMs) {
+            LightControl.state.visionProfileTimeouts[tokenId] = setTimeout(() => {
+                delete LightControl.state.visionProfileTimeouts[tokenId];
+                const entry = LightControl.utils.getState().visionStates[tokenId];
+                const name = entry && entry.profile ? entry.profile.name : null;
+                if (this.endProfile(tokenId)) {
+                    const token = getObj("graphic", tokenId);
+                    LightControl.utils.sendGmMessage(`👁️ The ${name} vision profile on ${token ? LightControl.utils.getTokenName(token) : tokenId} has ended.`);
+                }
+            }, delayMs);
+        },
+
+        clearProfileTimer(tokenId) {
+            clearTimeout(LightControl.state.visionProfileTimeouts[tokenId]);
+            delete LightControl.state.visionProfileTimeouts[tokenId];
+        },
+
+        /**
+         * Re-arms timed profiles on ready; ones that expired while the sandbox was down end immediately.
+         */
+        restoreTimers() {
+            const visionStates = LightControl.utils.getState().visionStates;
+            Object.keys(visionStates).forEach(tokenId => {
+                const profile = visionStates[tokenId].profile;
+                if (profile && profile.expiresAt) this.armProfileTimer(tokenId, Math.max(0, profile.expiresAt - Date.now()));
+            });
+        }
+    },
+
+    // Light Levels
+    // Works out whether a token stands in bright, dim or dark light from page daylight and every light-emitting
+    // token within range and sight (walls and closed doors block light; emitters are treated as all-round).
+    // Tracked tokens carry a status marker for their level, kept in state.LightControl.lightLevelTracked as { tokenID: level }.
+    lightLevel: {
+        LEVELS: ["dark", "dim", "bright"],
+        ICONS: { dark: "🌑", dim: "🌗", bright: "☀️" },
 
-            if (!selectedTokens || selectedTokens.length === 0) {
-                LightControl.utils.sendGmMessage("❌ Error: No tokens selected. Please select token(s) to center the area.");
+        /**
+         * `!lc lightlevel [IDs...|selected]`, `!lc lightlevel track [IDs...|selected]` and `!lc lightlevel untrack [IDs...|selected|all]`.
+         */
+        processLightLevelCommand(levelArgs, selectedTokens, playerid) {
+            if (!LightControl.perms.check("lightlevel", playerid)) return;
+            const tracked = LightControl.utils.getState().lightLevelTracked;
+            const sub = levelArgs[0] ? levelArgs[0].toLowerCase() : null;
+            const isSub = sub === "track" || sub === "untrack";
+
+            if (sub === "untrack" && (levelArgs[1] || "").toLowerCase() === "all") {
+                Object.keys(tracked).forEach(id => this.untrack(id));
+                LightControl.utils.whisperPlayer(playerid, "🌗 Stopped tracking light levels on all tokens.");
                 return;
             }
-            
-            // Initialize state if it doesn't exist
-            state.LightControl = state.LightControl || {};
-            state.LightControl.toggledLightStates = state.LightControl.toggledLightStates || {};
 
-            const { shape, dimensions, switchId } = this.parseToggleArgs(fullArgs.slice(1)); // fullArgs[0] is 'toggledarkness'
+            const tokens = LightControl.utils.resolveTokenTargets(levelArgs.slice(isSub ? 1 : 0), selectedTokens);
+            if (tokens.length === 0) {
+                LightControl.utils.whisperPlayer(playerid, "❌ Error: No tokens given or selected.");
+                return;
+            }
 
-            if (!shape || dimensions.length === 0) {
-                LightControl.utils.sendGmMessage("❌ Error: Missing shape or dimensions. Use `!lc toggledarkness <shape> [dims...] [--id id]`. Try `!lc help`.");
+            if (sub === "untrack") {
+                tokens.forEach(token => this.untrack(token.id));
+                LightControl.utils.whisperPlayer(playerid, `🌗 Stopped tracking light levels on ${tokens.length} token(s).`);
                 return;
             }
-            
-            // --- Determine Center Point ---
-            let centerX, centerY, pageid;
-            const idsMatch = fullArgs.join(' ').match(/--ids\s+([-\w\s,]+)/);
-            
-            if (idsMatch && idsMatch[1]) {
-                const ids = idsMatch[1].split(/[,\s]+/).filter(Boolean);
-                const centerTokens = ids.map(id => getObj("graphic", id)).filter(Boolean);
-                if (centerTokens.length === 0) {
-                    LightControl.utils.sendGmMessage("❌ Error: No valid tokens found for the provided --ids.");
-                    return;
+
+            const rows = tokens.map(token => {
+                const result = this.getLevel(token);
+                if (sub === "track") {
+                    tracked[token.id] = result.level;
+                    this.applyMarker(token, result.level);
                 }
-                centerX = centerTokens.reduce((sum, t) => sum + t.get("left"), 0) / centerTokens.length;
-                centerY = centerTokens.reduce((sum, t) => sum + t.get("top"), 0) / centerTokens.length;
-                pageid = centerTokens[0].get("_pageid");
-            } else if (selectedTokens && selectedTokens.length > 0) {
-                centerX = selectedTokens.reduce((sum, t) => sum + t.get("left"), 0) / selectedTokens.length;
-                centerY = selectedTokens.reduce((sum, t) => sum + t.get("top"), 0) / selectedTokens.length;
-                pageid = selectedTokens[0].get("_pageid");
-            } else {
-                LightControl.utils.sendGmMessage("❌ Error: No tokens selected or specified via --ids. Please select token(s) to center the area.");
-                return;
+                return `• ${this.ICONS[result.level]} **${LightControl.utils.getTokenName(token)}**: ${result.level}${result.source ? ` (${result.source})` : ""}`;
+            });
+            LightControl.utils.whisperPlayer(playerid, `${sub === "track" ? "🌗 Tracking light levels:" : "🌗 Light levels:"}<br>${rows.join("<br>")}`);
+        },
+
+        /**
+         * The light at a token: { level: "bright"|"dim"|"dark", source } where `source` names what lights it best.
+         */
+        getLevel(token) {
+            const page = getObj("page", token.get("_pageid"));
+            if (!page) return { level: "bright", source: null };
+            if (page.get("dynamic_lighting_enabled") === false && !page.get("showlighting")) return { level: "bright", source: "no dynamic lighting" };
+
+            let best = 0, source = null;
+            if (page.get("daylight_mode_enabled")) {
+                const daylight = parseFloat(page.get("daylightModeOpacity"));
+                const brightness = isNaN(daylight) ? 1 : daylight;
+                if (brightness >= LightControl.config.LIGHT_LEVEL_DAYLIGHT_BRIGHT) best = 2;
+                else if (brightness >= LightControl.config.LIGHT_LEVEL_DAYLIGHT_DIM) best = 1;
+                if (best > 0) source = "daylight";
             }
-            // --- End Center Point Logic ---
+            if (best === 2) return { level: "bright", source };
+
+            const pageid = page.id;
+            const center = LightControl.utils.getObjectCenter(token);
+            findObjs({ _pageid: pageid, _type: "graphic" })
+                .filter(emitter => LightControl.areaDarkness.emitsLight(emitter))
+                .forEach(emitter => {
+                    if (best === 2) return;
+                    const radii = this.getLightRadii(emitter);
+                    const origin = LightControl.utils.getObjectCenter(emitter);
+                    const distance = Math.hypot(center.x - origin.x, center.y - origin.y);
+                    const level = distance <= LightControl.areas.unitsToPixels(page, radii.bright) ? 2
+                        : distance <= LightControl.areas.unitsToPixels(page, radii.dim) ? 1 : 0;
+                    if (level <= best) return;
+                    if (emitter.id !== token.id && !LightControl.utils.hasLineOfSight(origin, center, pageid)) return;
+                    best = level;
+                    source = LightControl.utils.getTokenName(emitter);
+                });
+            return { level: this.LEVELS[best], source };
+        },
+
+        /**
+         * Bright and outer (dim) light radii in page units, from Updated Dynamic Lighting or legacy light properties.
+         */
+        getLightRadii(token) {
+            const udlBright = token.get("emits_bright_light") === true ? parseFloat(token.get("bright_light_distance")) || 0 : 0;
+            const udlLow = token.get("emits_low_light") === true ? parseFloat(token.get("low_light_distance")) || 0 : 0;
+            // Legacy: light_radius is the total, light_dimradius where dim light starts (blank = all bright)
+            const total = parseFloat(token.get("light_radius")) || 0;
+            const dimStart = parseFloat(token.get("light_dimradius"));
+            const legacyBright = isNaN(dimStart) ? total : Math.max(0, Math.min(dimStart, total));
+            return { bright: Math.max(udlBright, legacyBright), dim: Math.max(udlBright + udlLow, total) };
+        },
+
+        applyMarker(token, level) {
+            const markers = LightControl.config.LIGHT_LEVEL_MARKERS;
+            const all = Object.keys(markers).map(key => markers[key]).filter(Boolean);
+            const current = (token.get("statusmarkers") || "").split(",").filter(Boolean);
+            const updated = current.filter(marker => !all.includes(marker.split("@")[0]));
+            if (level && markers[level]) updated.push(markers[level]);
+            if (updated.join(",") !== current.join(",")) token.set("statusmarkers", updated.join(","));
+        },
+
+        untrack(tokenId) {
+            delete LightControl.utils.getState().lightLevelTracked[tokenId];
+            const token = getObj("graphic", tokenId);
+            if (token) this.applyMarker(token, null);
+        },
+
+        /**
+         * Re-checks every tracked token on a page, updating markers whose level changed.
+         */
+        refreshPage(pageid) {
+            const tracked = LightControl.utils.getState().lightLevelTracked;
+            Object.keys(tracked).forEach(id => {
+                const token = getObj("graphic", id);
+                if (!token) { delete tracked[id]; return; }
+                if (token.get("_pageid") !== pageid) return;
+                const level = this.getLevel(token).level;
+                if (level === tracked[id]) return;
+                tracked[id] = level;
+                this.applyMarker(token, level);
+            });
+        },
+
+        /**
+         * change:graphic listener: a moved token, or a light switched on, off or resized, can change
+         * what tracked tokens on the page see.
+         */
+        handleTokenChange(token, prev) {
+            if (Object.keys(LightControl.utils.getState().lightLevelTracked).length === 0) return;
+            const moved = token.get("left") !== prev.left || token.get("top") !== prev.top || token.get("_pageid") !== prev._pageid;
+            const lightChanged = LightControl.areaDarkness.LIGHT_PROPERTIES_TO_SAVE.some(prop => prop in prev && token.get(prop) !== prev[prop]);
+            if (moved || lightChanged) this.refreshPage(token.get("_pageid"));
+        }
+    },
+
+    // Secret Door Discovery
+    // Secret doors with `perceptiondc` metadata are noticed by player tokens that move within `searchradius` of them,
+    // can see them, and have a high enough passive Perception. Each door is noticed once; that is recorded in
+    // state.LightControl.discoveredDoors as { doorID: { by, at } }.
+    secretDoors: {
+        /**
+         * change:graphic listener: checks nearby secret doors when a player-controlled token moves.
+         */
+        handleTokenMove(token, prev) {
+            if (token.get("_subtype") !== "token" || token.get("layer") !== "objects") return;
+            if (token.get("left") === prev.left && token.get("top") === prev.top) return;
+            if (LightControl.utils.getControllingPlayers(token).length === 0) return;
+
+            const discovered = LightControl.utils.getState().discoveredDoors;
+            const pageid = token.get("_pageid");
+            const candidates = findObjs({ _pageid: pageid, _type: "door" })
+                .filter(door => door.get("isSecret") && !discovered[door.id] && LightControl.meta.get(door.id).perceptiondc);
+            if (candidates.length === 0) return;
 
-            const stateKey = `${pageid}_${switchId || "_default_toggle"}`;
             const page = getObj("page", pageid);
-            const finalGridSize = (page.get('scale_number') === 0 || page.get('snapping_increment') === 0) ? 70 : (page.get('scale_number') * 70 / page.get('snapping_increment'));
+            const grid = LightControl.areas.getGrid(page);
+            const tokenCenter = LightControl.utils.getObjectCenter(token);
+            const inRange = candidates.filter(door => {
+                const meta = LightControl.meta.get(door.id);
+                const center = LightControl.utils.getObjectCenter(door);
+                const radius = meta.searchradius || LightControl.config.SECRET_DOOR_DEFAULT_RADIUS;
+                return LightControl.areas.distance(grid, tokenCenter, center) <= radius &&
+                    LightControl.utils.hasLineOfSight(tokenCenter, center, pageid, [door.id]);
+            });
+            if (inRange.length === 0) return;
 
-            // Check if we are restoring lights
-            if (state.LightControl.toggledLightStates[stateKey]) {
-                const savedStates = state.LightControl.toggledLightStates[stateKey];
-                let restoreCommandParts = [];
-                Object.keys(savedStates).forEach(tokenId => {
-                    const tokenState = savedStates[tokenId];
-                    let tokenSetParts = [];
-                    this.LIGHT_PROPERTIES_TO_SAVE.forEach(prop => {
-                        // Ensure undefined or null are handled, perhaps by not setting if not in saved state or using a default for TokenMod if necessary
-                        if (tokenState[prop] !== undefined && tokenState[prop] !== null) {
-                             // TokenMod expects true/false for booleans, not strings "true"/"false"
-                            let value = tokenState[prop];
-                            if (typeof value === 'boolean') {
-                                tokenSetParts.push(`${prop}|${value}`);
-                            } else {
-                                tokenSetParts.push(`${prop}|'${value}'`); // Enclose string values in single quotes for TokenMod robustness
-                            }
-                        } else if (prop === 'light_color' && (tokenState[prop] === undefined || tokenState[prop] === null)) {
-                            tokenSetParts.push(`${prop}|transparent`); // Default color to transparent if not set
-                        }
-                    });
-                    if (tokenSetParts.length > 0) {
-                        restoreCommandParts.push(`--ids ${tokenId} --set ${tokenSetParts.join(" ")}`);
-                    }
-                });
+            LightControl.door.getAttributeBonus(token, LightControl.config.PASSIVE_PERCEPTION_ATTRIBUTES)
+                .then(passive => inRange.forEach(door => {
+                    const dc = LightControl.meta.get(door.id).perceptiondc;
+                    if (passive >= dc && !discovered[door.id]) this.discover(door, token, passive, dc);
+                }))
+                .catch(err => LightControl.utils.log(`Secret door check failed for ${token.id}: ${err.message}`, 'error'));
+        },
 
-                if (restoreCommandParts.length > 0) {
-                    const fullRestoreCommand = `!token-mod ${restoreCommandParts.join(" ")}`;
-                    LightControl.utils.sendGmMessage("**Generated TokenMod Command (click to restore lights):**<br>" +
-                        `<a href=\"` + fullRestoreCommand.replace(/"/g, "&quot;").replace(/'/g, "&apos;") + `\">💡 Restore Lights</a>` +
-                        `<br><br><i>Lights restored for switch: ${switchId || "default"}</i>`);
-                    delete state.LightControl.toggledLightStates[stateKey]; // Clear the state after restoring
-                } else {
-                    LightControl.utils.sendGmMessage("💡 No saved light states to restore for this switch.");
+        discover(door, token, passive, dc) {
+            const discovered = LightControl.utils.getState().discoveredDoors;
+            const tokenName = LightControl.utils.getTokenName(token);
+            discovered[door.id] = { by: token.id, at: Date.now() };
+            const mode = LightControl.meta.get(door.id).searchmode || LightControl.config.SECRET_DOOR_MODE;
+
+            if (mode === "whisper") {
+                LightControl.utils.sendGmMessage(`🔍 **${tokenName}** would notice secret door ${door.id} (passive Perception ${passive} vs DC ${dc}). ` +
+                    `[Reveal](!door ${door.id} reveal) [📍](!door ping ${door.id})`);
+                return;
+            }
+            LightControl.history.run(`Secret door ${door.id} noticed by ${tokenName}`, "API", () => LightControl.door.applyActionToDoorObject(door, "reveal"));
+            LightControl.utils.sendGmMessage(`🔍 **${tokenName}** noticed secret door ${door.id} (passive Perception ${passive} vs DC ${dc}).`);
+            LightControl.utils.getControllingPlayers(token)
+                .forEach(player => LightControl.utils.whisperPlayer(player.id, `🔍 ${tokenName} notices a hidden door!`));
+        },
+
+        /**
+         * `!lc secretdoors reset [ID|all]` lets doors be noticed again; `!lc secretdoors` lists the ones already found.
+         */
+        processSecretDoorCommand(secretArgs, playerid) {
+            if (!LightControl.perms.check("secretdoors", playerid)) return;
+            const discovered = LightControl.utils.getState().discoveredDoors;
+            const sub = secretArgs[0] ? secretArgs[0].toLowerCase() : "list";
+            if (sub === "reset") {
+                const target = secretArgs[1];
+                if (!target) {
+                    LightControl.utils.sendGmMessage("❌ Error: Use `!lc secretdoors reset <doorID|all>`.");
+                    return;
                 }
+                if (target.toLowerCase() === "all") Object.keys(discovered).forEach(id => delete discovered[id]);
+                else delete discovered[target];
+                LightControl.utils.sendGmMessage(`🔍 Secret door discovery reset for ${target.toLowerCase() === "all" ? "all doors" : target}.`);
                 return;
             }
+            const rows = Object.keys(discovered).map(id => {
+                const finder = getObj("graphic", discovered[id].by);
+                return `• ${id} — found by ${finder ? LightControl.utils.getTokenName(finder) : "a removed token"} [Reset](!lc secretdoors reset ${id})`;
+            });
+            LightControl.utils.sendGmMessage(rows.length > 0 ? `🔍 Discovered secret doors:<br>${rows.join("<br>")}` : "🔍 No secret doors have been discovered yet.");
+        }
+    },
 
-            // Proceed to turn lights OFF and save state
-            let tokensToAffectAndSave = {};
-            const allTokensOnPage = findObjs({ _pageid: pageid, _type: "graphic", _subtype: "token" });
+    // Change History
+    // Every change LightControl makes to walls, doors and token lights goes through history.set, which records
+    // before/after values into the current operation (one chat command, timer run, etc.). Operations are kept in
+    // state.LightControl.history as [{ id, at, label, playerid, changes: [{ type, id, before, after }] }], newest last,
+    // up to config.HISTORY_MAX_ENTRIES.
+    history: {
+        begin(label, playerid) {
+            if (LightControl.state.currentOperation) this.end(LightControl.state.currentOperation);
+            LightControl.state.currentOperation = { label, playerid, at: Date.now(), changes: [], stateChanges: [] };
+            return LightControl.state.currentOperation;
+        },
 
-            let dimensionValue;
-            switch (shape) {
-                case "square":
-                    if (dimensions.length < 1) { LightControl.utils.sendGmMessage("❌ Square needs size."); return; }
-                    dimensionValue = parseInt(dimensions[0]);
-                    if (isNaN(dimensionValue) || dimensionValue <= 0) { LightControl.utils.sendGmMessage("❌ Invalid square size."); return; }
-                    const halfPixelSize = (dimensionValue * finalGridSize) / 2;
-                    allTokensOnPage.forEach(token => {
-                        if (Math.abs(token.get("left") - centerX) <= halfPixelSize && Math.abs(token.get("top") - centerY) <= halfPixelSize) {
-                            if (token.get("light_radius") > 0 || token.get("light_dimradius") > 0) {
-                                let currentProps = {};
-                                this.LIGHT_PROPERTIES_TO_SAVE.forEach(prop => currentProps[prop] = token.get(prop));
-                                tokensToAffectAndSave[token.id] = currentProps;
-                            }
-                        }
-                    });
-                    break;
-                case "circle":
-                    if (dimensions.length < 1) { LightControl.utils.sendGmMessage("❌ Circle needs radius."); return; }
-                    dimensionValue = parseInt(dimensions[0]);
-                    if (isNaN(dimensionValue) || dimensionValue <= 0) { LightControl.utils.sendGmMessage("❌ Invalid circle radius."); return; }
-                    const radiusPixel = dimensionValue * finalGridSize;
-                    allTokensOnPage.forEach(token => {
-                        const dx = token.get("left") - centerX; const dy = token.get("top") - centerY;
-                        if (Math.sqrt(dx * dx + dy * dy) <= radiusPixel) {
-                            if (token.get("light_radius") > 0 || token.get("light_dimradius") > 0) {
-                                let currentProps = {};
-                                this.LIGHT_PROPERTIES_TO_SAVE.forEach(prop => currentProps[prop] = token.get(prop));
-                                tokensToAffectAndSave[token.id] = currentProps;
-                            }
-                        }
-                    });
-                    break;
-                default:
-                    LightControl.utils.sendGmMessage(`❌ Unknown shape \`${shape}\`. Use square or circle.`);
-                    return;
+        end(operation = LightControl.state.currentOperation) {
+            if (!operation || LightControl.state.currentOperation !== operation) return;
+            LightControl.state.currentOperation = null;
+            const lcState = LightControl.utils.getState();
+            // Drop state entries that ended up unchanged (e.g. repairing a door that wasn't damaged)
+            operation.stateChanges = operation.stateChanges.filter(change =>
+                JSON.stringify(lcState[change.section][change.key] ?? null) !== JSON.stringify(change.before));
+            if (operation.changes.length === 0 && operation.stateChanges.length === 0) return;
+            operation.id = lcState.nextHistoryId++;
+            lcState.history.push(operation);
+            while (lcState.history.length > LightControl.config.HISTORY_MAX_ENTRIES) lcState.history.shift();
+        },
+
+        /**
+         * Runs `fn` as one operation, or as part of the current one if a command is already being recorded.
+         */
+        run(label, playerid, fn) {
+            if (LightControl.state.currentOperation) return fn();
+            const operation = this.begin(label, playerid);
+            try {
+                return fn();
+            } finally {
+                this.end(operation);
             }
+        },
 
-            const tokenIdsToTurnOff = Object.keys(tokensToAffectAndSave);
-            if (tokenIdsToTurnOff.length > 0) {
-                state.LightControl.toggledLightStates[stateKey] = tokensToAffectAndSave;
-                const turnOffCommand = `!token-mod --ids ${tokenIdsToTurnOff.join(",")} --set light_radius|0 light_dimradius|0`;
-                LightControl.utils.sendGmMessage("**Generated TokenMod Command (click to turn off lights):**<br>" +
-                    `<a href=\"` + turnOffCommand.replace(/"/g, "&quot;") + `\">🌑 Turn Off Lights (${tokenIdsToTurnOff.length} Token(s))</a>` +
-                    `<br><br><i>Run <code>!lc toggledarkness ${shape} ${dimensions.join(" ")} ${switchId ? "--id " + switchId : ""}</code> again to restore.</i>`);
-            } else {
-                LightControl.utils.sendGmMessage("💡 No tokens emitting light found in the specified area to turn off.");
+        /**
+         * Records a change without applying it. Changes made outside any operation (e.g. after a key check's
+         * await) are grouped into an automatic operation that closes at the end of the current tick.
+         */
+        record(obj, changes) {
+            this.ensureOperation();
+            const type = obj.get("_type");
+            const changeList = LightControl.state.currentOperation.changes;
+            let entry = changeList.find(c => c.type === type && c.id === obj.id);
+            if (!entry) {
+                entry = { type, id: obj.id, before: {}, after: {} };
+                changeList.push(entry);
+            }
+            Object.keys(changes).forEach(prop => {
+                if (!(prop in entry.before)) entry.before[prop] = obj.get(prop);
+                entry.after[prop] = changes[prop];
+            });
+        },
+
+        set(obj, changes) {
+            this.record(obj, changes);
+            obj.set(changes);
+        },
+
+        /**
+         * Records the current `state.LightControl[section][key]` (e.g. a door's integrity or a light switch's saved lights)
+         * before it is changed, so undo can put LightControl's own bookkeeping back along with the objects.
+         */
+        recordState(section, key) {
+            this.ensureOperation();
+            const stateChanges = LightControl.state.currentOperation.stateChanges;
+            if (stateChanges.some(c => c.section === section && c.key === key)) return;
+            const value = LightControl.utils.getState()[section][key];
+            stateChanges.push({ section, key, before: value === undefined ? null : JSON.parse(JSON.stringify(value)) });
+        },
+
+        /**
+         * Records an object the current operation created, so undo removes it again.
+         */
+        recordCreate(obj) {
+            this.ensureOperation();
+            LightControl.state.currentOperation.changes.push({ type: obj.get("_type"), id: obj.id, created: true, before: {}, after: {} });
+        },
+
+        ensureOperation() {
+            if (LightControl.state.currentOperation) return;
+            const operation = this.begin("Automatic change", "API");
+            setTimeout(() => this.end(operation), 0);
+        },
+
+        /**
+         * Runs `fn` recording into an earlier operation, e.g. tokens pushed by a wall slide the operation started.
+         */
+        within(operation, fn) {
+            const previous = LightControl.state.currentOperation;
+            LightControl.state.currentOperation = operation;
+            try {
+                return fn();
+            } finally {
+                LightControl.state.currentOperation = previous;
+            }
+        },
+
+        /**
+         * `!lc history [n]` lists the latest operations with undo buttons.
+         */
+        showHistory(countText, playerid) {
+            if (!LightControl.perms.check("history", playerid)) return;
+            const history = LightControl.utils.getState().history;
+            if (history.length === 0) {
+                LightControl.utils.sendGmMessage("🕓 No LightControl changes recorded yet.");
+                return;
+            }
+            const count = Math.max(1, parseInt(countText, 10) || 10);
+            const rows = history.slice(-count).reverse().map((operation, index) => {
+                const who = operation.playerid === "API" ? "API" : (getObj("player", operation.playerid)?.get("_displayname") || "?");
+                const time = new Date(operation.at).toISOString().substr(11, 8);
+                return `• <b>#${operation.id}</b> ${time} ${who}: <code>${operation.label}</code> — ${operation.changes.length} object(s) [Undo${index > 0 ? ` ${index + 1}` : ""}](!lc undo ${index + 1})`;
+            });
+            LightControl.utils.sendGmMessage(`&{template:default} {{name=🕓 LightControl History (${history.length})}} {{Latest first=${rows.join("<br>")}}}`);
+        },
+
+        /**
+         * `!lc undo [n]` reverts the last n operations, newest first, along with the LightControl state entries
+         * they recorded (see recordState). Objects changed since by hand are still reverted, but counted in the report.
+         */
+        undo(countText, playerid) {
+            if (!LightControl.perms.check("history", playerid)) return;
+            const history = LightControl.utils.getState().history;
+            const count = countText === undefined ? 1 : parseInt(countText, 10);
+            if (isNaN(count) || count < 1) {
+                LightControl.utils.sendGmMessage("❌ Error: Use `!lc undo [n]` with a positive number.");
+                return;
+            }
+            if (history.length === 0) {
+                LightControl.utils.sendGmMessage("🕓 Nothing to undo.");
+                return;
             }
+
+            const lcState = LightControl.utils.getState();
+            const undone = history.splice(-count).reverse();
+            let reverted = 0, removed = 0, missing = 0, changedSince = 0;
+            undone.forEach(operation => {
+                // State first, so e.g. a door whose break is undone is no longer held open as broken
+                (operation.stateChanges || []).slice().reverse().forEach(change => {
+                    if (change.before === null) delete lcState[change.section][change.key];
+                    else lcState[change.section][change.key] = change.before;
+                });
+                operation.changes.slice().reverse().forEach(change => {
+                    const obj = getObj(change.type, change.id);
+                    if (!obj) { missing++; return; }
+                    if (change.created) { obj.remove(); removed++; return; }
+                    if (Object.keys(change.after).some(prop => obj.get(prop) !== change.after[prop])) changedSince++;
+                    if (change.type === "pathv2" && LightControl.state.activeWallTweens[obj.id]) {
+                        clearTimeout(LightControl.state.activeWallTweens[obj.id].timeout);
+                        delete LightControl.state.activeWallTweens[obj.id];
+                    }
+                    const previousFlags = (change.type === "door" || change.type === "window") ? LightControl.hooks.getDoorFlags(obj) : null;
+                    obj.set(change.before);
+                    if (previousFlags) LightControl.hooks.handleDoorChange(obj, previousFlags);
+                    reverted++;
+                });
+            });
+            LightControl.lightSources.ensureTicker();
+            LightControl.utils.sendGmMessage(`↩️ Undid ${undone.length} operation(s) (${undone.map(op => `#${op.id}`).join(", ")}): ${reverted} object(s) reverted` +
+                (removed > 0 ? `, ${removed} created object(s) removed` : "") + (missing > 0 ? `, ${missing} no longer exist` : "") + (changedSince > 0 ? `<br>⚠️ ${changedSince} had been changed again since.` : "."));
         }
     }
 };
 
 // Initialize on ready
 on("ready", function() {
+    LightControl.utils.getState();
+    LightControl.door.restoreSchedules();
+    LightControl.dayCycle.restore();
+    LightControl.lightEffects.restore();
+    LightControl.lightSources.ensureTicker();
+    LightControl.vision.restoreTimers();
     LightControl.utils.log("✅ LightControl System v1.1.0 Ready!");
     if (typeof CommandMenu !== 'undefined' && CommandMenu.utils && CommandMenu.utils.addInitStatus) {
         CommandMenu.utils.addInitStatus('LightControl', 'success', 'v1.1.0', 'success');
@@ -593,31 +4356,120 @@ on("chat:message", function(msg) {
     let args = msg.content.split(" ");
     let command = args[0].toLowerCase();
 
-    // Wall Commands
-    if (command === "!wall") {
-        LightControl.wall.processWallCommand(args);
-    }
-    // Door Commands
-    else if (command === "!door") {
-        // Pass the player ID and selected graphics from the msg object for GM check and area operations
-        Object.assign(args, { whoisplayerid: msg.playerid, selected: msg.selected });
-        LightControl.door.processDoorCommand(args);
-    }
-    // LightControl specific commands (e.g., help)
-    else if (command === "!lc" || command === "!lightcontrol") {
-        const subCommand = args[1] ? args[1].toLowerCase() : null;
-        if (subCommand === "help") {
-            LightControl.help.showHelp(msg.playerid);
+    // Everything a command changes is recorded as one history operation (except undo/history themselves)
+    const isLcCommand = command === "!lc" || command === "!lightcontrol";
+    const tracked = command === "!wall" || command === "!door" || (isLcCommand && !["undo", "history"].includes((args[1] || "").toLowerCase()));
+    const operation = tracked ? LightControl.history.begin(msg.content, msg.playerid) : null;
+    try {
+        // Wall Commands
+        if (command === "!wall") {
+            Object.assign(args, { whoisplayerid: msg.playerid, selected: msg.selected });
+            LightControl.wall.processWallCommand(args);
         }
-        else if (subCommand === "toggledarkness") {
-            const selectedGraphics = (msg.selected || []).map(s => getObj("graphic", s._id)).filter(g => g && g.get("_subtype") === "token");
-            // Pass msg.content.split(" ") which is args array including the main command e.g. ["!lc", "toggledarkness", "square", "5"]
-            // Then processToggleDarknessCommand will slice it from its own first arg.
-            LightControl.areaDarkness.processToggleDarknessCommand(args.slice(1), selectedGraphics, msg.playerid); 
+        // Door Commands
+        else if (command === "!door") {
+            // Pass the player ID and selected graphics from the msg object for GM check and area operations
+            Object.assign(args, { whoisplayerid: msg.playerid, selected: msg.selected });
+            LightControl.door.processDoorCommand(args);
         }
-        else {
-            // Optionally send a default message or brief help if an !lc command is unknown
-            LightControl.utils.sendGmMessage("Unknown LightControl command. Try `!lc help`.");
+        // LightControl specific commands (e.g., help)
+        else if (command === "!lc" || command === "!lightcontrol") {
+            const subCommand = args[1] ? args[1].toLowerCase() : null;
+            if (subCommand === "help") {
+                LightControl.help.showHelp(msg.playerid);
+            }
+            else if (subCommand === "daycycle") {
+                LightControl.dayCycle.processDayCycleCommand(args.slice(2), msg.playerid);
+            }
+            else if (subCommand === "time") {
+                LightControl.dayCycle.processTimeCommand(args.slice(2), msg.playerid);
+            }
+            else if (subCommand === "scene") {
+                LightControl.scenes.processSceneCommand(args.slice(2), msg.playerid);
+            }
+            else if (subCommand === "export") {
+                LightControl.pageTransfer.processExportCommand(args.slice(2), msg.playerid);
+            }
+            else if (subCommand === "import") {
+                LightControl.pageTransfer.processImportCommand(args.slice(2), msg.playerid);
+            }
+            else if (subCommand === "meta") {
+                LightControl.meta.processMetaCommand(args.slice(2), msg.playerid);
+            }
+            else if (subCommand === "undo") {
+                LightControl.history.undo(args[2], msg.playerid);
+            }
+            else if (subCommand === "history") {
+                LightControl.history.showHistory(args[2], msg.playerid);
+            }
+            else if (subCommand === "perms") {
+                LightControl.perms.processPermsCommand(args.slice(2), msg.playerid);
+            }
+            else if (subCommand === "secretdoors") {
+                LightControl.secretDoors.processSecretDoorCommand(args.slice(2), msg.playerid);
+            }
+            else if (subCommand === "vision") {
+                const selectedGraphics = (msg.selected || []).map(s => getObj("graphic", s._id)).filter(g => g && g.get("_subtype") === "token");
+                LightControl.vision.processVisionCommand(args.slice(2), selectedGraphics, msg.playerid);
+            }
+            else if (subCommand === "lightlevel") {
+                const selectedGraphics = (msg.selected || []).map(s => getObj("graphic", s._id)).filter(g => g && g.get("_subtype") === "token");
+                LightControl.lightLevel.processLightLevelCommand(args.slice(2), selectedGraphics, msg.playerid);
+            }
+            else if (subCommand === "lightsource") {
+                const selectedGraphics = (msg.selected || []).map(s => getObj("graphic", s._id)).filter(g => g && g.get("_subtype") === "token");
+                LightControl.lightSources.processLightSourceCommand(args.slice(2), selectedGraphics, msg.playerid);
+            }
+            else if (subCommand === "advance") {
+                LightControl.lightSources.processAdvanceCommand(args.slice(2), msg.playerid);
+            }
+            else if (subCommand === "flicker" || subCommand === "pulse") {
+                const selectedGraphics = (msg.selected || []).map(s => getObj("graphic", s._id)).filter(g => g && g.get("_subtype") === "token");
+                LightControl.lightEffects.processEffectCommand(subCommand, args.slice(2), selectedGraphics, msg.playerid);
+            }
+            else if (subCommand === "toggledarkness") {
+                const selectedGraphics = (msg.selected || []).map(s => getObj("graphic", s._id)).filter(g => g && g.get("_subtype") === "token");
+                const selectedPaths = (msg.selected || []).map(s => getObj(s._type, s._id)).filter(o => o && (o.get("_type") === "path" || o.get("_type") === "pathv2"));
+                // Pass msg.content.split(" ") which is args array including the main command e.g. ["!lc", "toggledarkness", "square", "5"]
+                // Then processToggleDarknessCommand will slice it from its own first arg.
+                LightControl.areaDarkness.processToggleDarknessCommand(args.slice(1), selectedGraphics, msg.playerid, selectedPaths); 
+            }
+            else {
+                // Optionally send a default message or brief help if an !lc command is unknown
+                LightControl.utils.sendGmMessage("Unknown LightControl command. Try `!lc help`.");
+            }
         }
+    } finally {
+        if (operation) LightControl.history.end(operation);
+    }
+});
+
+// Door/window changes made in the VTT (LightControl's own changes dispatch hooks directly)
+on("change:door", (obj, prev) => {
+    try {
+        LightControl.door.enforceBroken(obj);
+        LightControl.hooks.handleDoorChange(obj, prev);
+        if (obj.get("isOpen") !== prev.isOpen) LightControl.lightLevel.refreshPage(obj.get("_pageid"));
+    } catch (err) {
+        LightControl.utils.log(`Error in on("change:door") for ${obj.id}: ${err.message}`, 'error');
+    }
+});
+
+on("change:graphic", (obj, prev) => {
+    try {
+        LightControl.secretDoors.handleTokenMove(obj, prev);
+        LightControl.lightLevel.handleTokenChange(obj, prev);
+    } catch (err) {
+        LightControl.utils.log(`Error in on("change:graphic") for ${obj.id}: ${err.message}`, 'error');
     }
-});
\ No newline at end of file
+});
+
+on("change:window", (obj, prev) => {
+    try {
+        LightControl.door.enforceBroken(obj);
+        LightControl.hooks.handleDoorChange(obj, prev);
+        if (obj.get("isOpen") !== prev.isOpen) LightControl.lightLevel.refreshPage(obj.get("_pageid"));
+    } catch (err) {
+        LightControl.utils.log(`Error in on("change:window") for ${obj.id}: ${err.message}`, 'error');
+    }
+});
@@ -221,6 +221,13 @@
  *    removes the loop data from `TokenFX.state.activeFxLoops`.
  *  - `!stopAllFx`: Iterates through all `loopID`s in `activeFxLoops` and stops each one.
  *
+ *  - Persistence: loops that never end on their own (GR[infinite] or any TR[infinite]) also
+ *    have their definition (the parsed parameters, not the timeout handles) saved in
+ *    `state.TokenFX.persistentLoops[loopID]`. On `ready` they are restarted from the beginning;
+ *    loops whose source tokens (or required targets, or custom FX) no longer exist are pruned. Paired
+ *    source/target loops lose only the pairs with a missing token; other loops missing a target are pruned.
+ *    Stopping a loop removes its saved definition. Set `config.PERSIST_LOOPS_ENABLED` to false to turn this off.
+ *
  * V. AREA TRIGGERS & CHAIN REACTIONS (`TokenFX.trigger`):
  *    Commands: `!triggerByTag`, `!triggerByTagChain`, `!stopChains`
  *
@@ -373,6 +380,7 @@ const TokenFX = {
         INFO_MESSAGES_ENABLED: true, // Set to false to hide messages like "Delaying command..." and "Triggered on..."
         MENU_CONSOLIDATION_ENABLED: true, // Set to false to have each FX command generate its own menu
         MENU_CONSOLIDATION_DELAY_MS: 250, // How long to wait (in ms) to gather up FX for one menu
+        PERSIST_LOOPS_ENABLED: true, // Save infinite FX loops to Roll20 state and resume them after a sandbox restart
     },
 
     // State management
@@ -679,6 +687,125 @@ const TokenFX = {
             return true;
         },
 
+        getPersistentLoops() {
+            state.TokenFX = state.TokenFX || {};
+            state.TokenFX.persistentLoops = state.TokenFX.persistentLoops || {};
+            return state.TokenFX.persistentLoops;
+        },
+
+        isInfiniteLoop(loopData) {
+            return loopData.globalRepeats === "infinite" || Object.values(loopData.tokens).some(t => t.TRrepeats === "infinite");
+        },
+
+        // Saves the definition of an infinite loop (parsed parameters only, no timeout handles or counters)
+        persistLoop(loopID) {
+            const loopData = TokenFX.state.activeFxLoops[loopID];
+            if (!TokenFX.config.PERSIST_LOOPS_ENABLED || !loopData || !TokenFX.utils.isInfiniteLoop(loopData)) return;
+
+            const stripTiming = (entries) => {
+                const result = {};
+                Object.keys(entries).forEach(id => {
+                    const { TDelay, TRrepeats, TInterval, name, imgURL } = entries[id];
+                    result[id] = { TDelay, TRrepeats, TInterval, name, imgURL };
+                });
+                return result;
+            };
+            TokenFX.utils.getPersistentLoops()[loopID] = {
+                fxType: loopData.fxType,
+                fxDisplayName: loopData.fxDisplayName,
+                isCustom: loopData.isCustom,
+                tokens: stripTiming(loopData.tokens),
+                targets: stripTiming(loopData.targets),
+                targetOrder: loopData.targetOrder || [],
+                uniqueTargetIDs: loopData.uniqueTargetIDs || [],
+                globalDelay: loopData.globalDelay,
+                globalRepeats: loopData.globalRepeats,
+                syncMode: loopData.syncMode,
+                savedAt: Date.now()
+            };
+        },
+
+        unpersistLoop(loopID) {
+            delete TokenFX.utils.getPersistentLoops()[loopID];
+        },
+
+        // Restarts saved loops on ready, pruning those whose tokens (or custom FX) are gone
+        resumePersistentLoops() {
+            const saved = TokenFX.utils.getPersistentLoops();
+            if (!TokenFX.config.PERSIST_LOOPS_ENABLED) return;
+
+            let resumed = 0;
+            const pruned = [];
+            Object.keys(saved).forEach(loopID => {
+                const definition = saved[loopID];
+                const exists = (id) => !!getObj("graphic", id);
+                const savedSourceIDs = Object.keys(definition.tokens || {});
+                const savedTargetOrder = definition.targetOrder || [];
+                // Sources pair with targets by position when the counts match (see applyFxLoop_sync/desync)
+                const wasPaired = savedSourceIDs.length > 0 && savedSourceIDs.length === savedTargetOrder.length;
+                let sourceIDs, targetOrder, pairingBroken = false;
+                if (wasPaired) {
+                    // Drop whole pairs so the survivors keep their partners
+                    const pairs = savedSourceIDs.map((id, i) => [id, savedTargetOrder[i]]).filter(([source, target]) => exists(source) && exists(target));
+                    sourceIDs = pairs.map(pair => pair[0]);
+                    targetOrder = pairs.map(pair => pair[1]);
+                } else {
+                    sourceIDs = savedSourceIDs.filter(exists);
+                    targetOrder = savedTargetOrder.filter(exists);
+                    // A lost target, or counts that now match, would change who fires at whom
+                    pairingBroken = targetOrder.length !== savedTargetOrder.length ||
+                        (targetOrder.length > 0 && sourceIDs.length === targetOrder.length);
+                }
+                const targetIDs = Object.keys(definition.targets || {}).filter(id => targetOrder.includes(id));
+                const fxMissing = definition.isCustom && !getObj("custfx", definition.fxType);
+                const targetsMissing = savedTargetOrder.length > 0 && targetOrder.length === 0;
+                if (sourceIDs.length === 0 || targetsMissing || pairingBroken || fxMissing) {
+                    pruned.push(definition.fxDisplayName || loopID);
+                    delete saved[loopID];
+                    return;
+                }
+
+                const withTiming = (entries, ids) => {
+                    const result = {};
+                    ids.forEach(id => result[id] = Object.assign({}, entries[id], { internalTimeouts: [], currentRepeat: 0 }));
+                    return result;
+                };
+                TokenFX.state.activeFxLoops[loopID] = {
+                    fxType: definition.fxType,
+                    fxDisplayName: definition.fxDisplayName,
+                    isCustom: definition.isCustom,
+                    tokens: withTiming(definition.tokens, sourceIDs),
+                    targets: withTiming(definition.targets || {}, targetIDs),
+                    targetOrder: targetOrder,
+                    uniqueTargetIDs: (definition.uniqueTargetIDs || []).filter(id => targetIDs.includes(id)),
+                    globalTimeouts: [],
+                    globalCounter: 0,
+                    globalDelay: definition.globalDelay,
+                    globalRepeats: definition.globalRepeats,
+                    syncMode: definition.syncMode,
+                    loopID: loopID
+                };
+                // Keep the saved definition in step with any tokens that were dropped
+                TokenFX.utils.persistLoop(loopID);
+
+                if (definition.syncMode === "sync") {
+                    TokenFX.fx.applyFxLoop_sync(loopID);
+                } else {
+                    TokenFX.fx.applyFxLoop_desync(loopID);
+                }
+                resumed++;
+            });
+
+            if (resumed > 0 || pruned.length > 0) {
+                TokenFX.utils.log(`Resumed ${resumed} persistent FX loop(s); pruned ${pruned.length}.`, 'info');
+                sendChat("TokenFX", `/w gm ♻️ Resumed ${resumed} FX loop(s) after restart.` +
+                    (pruned.length > 0 ? ` Removed ${pruned.length} whose tokens or FX no longer exist: ${pruned.join(", ")}.` : ""));
+            }
+            if (resumed > 0 && TokenFX.config.MENU_CONSOLIDATION_ENABLED) {
+                TokenFX.utils.buildAndSendConsolidatedMenu(false);
+            }
+        },
+
         stopFxLoop(loopID) {
             if (!loopID) {
                 TokenFX.utils.log("stopFxLoop: No loopID provided.", 'warning');
@@ -686,6 +813,7 @@ const TokenFX = {
                 return;
             }
 
+            TokenFX.utils.unpersistLoop(loopID);
             const loopData = TokenFX.state.activeFxLoops[loopID];
             if (loopData) {
                 TokenFX.utils.log(`Stopping FX Loop ID: ${loopID}`, 'info');
@@ -895,6 +1023,7 @@ const TokenFX = {
                 }
             });
             TokenFX.state.activeFxLoops = {}; // Clear all tracked loops
+            state.TokenFX = Object.assign(state.TokenFX || {}, { persistentLoops: {} }); // ...and their saved definitions
             sendChat("TokenFX", `/w gm ❌ All FX loops stopped.`);
             TokenFX.utils.log("All active FX loops stopped.", 'info');
         },
@@ -906,6 +1035,7 @@ const TokenFX = {
                 return;
             }
 
+            TokenFX.utils.unpersistLoop(loopID);
             const loopData = TokenFX.state.activeFxLoops[loopID];
             if (loopData) {
                 TokenFX.utils.log(`Stopping FX Loop ID: ${loopID}`, 'info');
@@ -1198,6 +1328,7 @@ const TokenFX = {
                 delete TokenFX.state.activeFxLoops[loopID]; // Clean up the partially created loop
                 return; // Stop processing this command
             }
+            TokenFX.utils.persistLoop(loopID); // Infinite loops survive sandbox restarts
 
             // --- Menu Generation Logic ---
             const isPersistent = (loopData.globalRepeats === "infinite" || loopData.globalRepeats > 1) || 
@@ -1908,6 +2039,9 @@ on("ready", function() {
         TokenFX.utils.log("Error dynamically loading custom FX definitions: " + e.message, "error");
     }
 
+    // Restart infinite FX loops saved before the sandbox restarted (needs the custom FX loaded above)
+    TokenFX.utils.resumePersistentLoops();
+
     TokenFX.utils.log("✅ TokenFX System Refactored Ready!", 'success');
 });
 